@@ -4,15 +4,28 @@
  * JLMA-CFES CLI - Command Line Interface
  *
  * Usage:
- *   jlma-cfes validate <file>     Validate code file
+ *   jlma-cfes validate <paths...> Validate files, directories or globs
  *   jlma-cfes benchmark           Run performance benchmark
  *   jlma-cfes metrics             Show current metrics
- *   jlma-cfes init                Initialize with claude-flow
+ *   jlma-cfes init                Initialize with claude-flow, install Claude Code hooks
+ *   jlma-cfes uninstall           Remove the Claude Code hooks init installed
+ *   jlma-cfes baseline create     Record current findings as a baseline
+ *   jlma-cfes hook <event>        Run hooks for a Claude Code hook event (stdin JSON)
+ *   jlma-cfes audit query         Search the hook decision audit log
+ *   jlma-cfes audit verify        Check the audit log's hash chain
+ *   jlma-cfes audit shadow        Compare shadow-mode hook/rule decisions with enforced ones
  */
 
 import { createEnhancer } from '../src/index.js';
-import { readFileSync } from 'fs';
-import { resolve } from 'path';
+import { Baseline, BASELINE_FILE } from '../src/validators/Baseline.js';
+import { SarifReport } from '../src/validators/SarifReport.js';
+import { FileScanner } from '../src/core/FileScanner.js';
+import { validateFile } from '../src/core/ValidationPool.js';
+import { ClaudeCodeHookAdapter, EXIT_CODES } from '../src/adapters/ClaudeCodeHookAdapter.js';
+import { ClaudeCodeSettings } from '../src/adapters/ClaudeCodeSettings.js';
+import { AuditLog } from '../src/core/AuditLog.js';
+import { ShadowReport } from '../src/hooks/ShadowReport.js';
+import { relative, resolve } from 'path';
 
 const VERSION = '3.0.0';
 
@@ -30,11 +43,26 @@ async function main() {
     process.exit(0);
   }
 
-  const enhancer = createEnhancer({
-    claudeFlowIntegration: command === 'init'
-  });
+  // Hooks read their payload first: it names the project whose config applies
+  if (command === 'hook') {
+    await handleHook(args.slice(1));
+    return;
+  }
 
-  await enhancer.initialize();
+  if (command === 'uninstall') {
+    handleUninstall(args.slice(1));
+    return;
+  }
+
+  const enhancer = createEnhancer(enhancerOptions(command, args.slice(1)));
+
+  const initResult = await enhancer.initialize();
+
+  // Configuration errors are fatal; `init` reports them itself
+  if (!initResult.success && command !== 'init') {
+    console.error(`Error: ${initResult.error}`);
+    process.exit(1);
+  }
 
   switch (command) {
     case 'validate':
@@ -50,13 +78,21 @@ async function main() {
       break;
 
     case 'init':
-      await handleInit(enhancer);
+      handleInit(initResult, args.slice(1));
       break;
 
     case 'check':
       await handleCheck(enhancer, args.slice(1));
       break;
 
+    case 'baseline':
+      await handleBaseline(enhancer, args.slice(1));
+      break;
+
+    case 'audit':
+      handleAudit(enhancer, args.slice(1));
+      break;
+
     default:
       console.error(`Unknown command: ${command}`);
       printHelp();
@@ -64,6 +100,60 @@ async function main() {
   }
 }
 
+/**
+ * Per-command enhancer options
+ */
+function enhancerOptions(command, args) {
+  const options = { claudeFlowIntegration: command === 'init' };
+
+  if (command === 'baseline' || args.includes('--no-baseline')) {
+    // Record or report every finding
+    options.baseline = null;
+  } else if (optionValue(args, '--baseline')) {
+    options.baseline = resolve(process.cwd(), optionValue(args, '--baseline'));
+  }
+
+  return options;
+}
+
+// Flags followed by a value, which is not a positional argument
+const VALUE_FLAGS = [
+  '--format', '--baseline', '--output', '--fail-on', '--ignore', '--jobs', '--scope',
+  '--since', '--tool', '--decision', '--session', '--limit'
+];
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+/**
+ * Arguments that are not flags or flag values
+ */
+function positionalArgs(args) {
+  return args.filter((arg, i) => !arg.startsWith('--') && !VALUE_FLAGS.includes(args[i - 1]));
+}
+
+/**
+ * Every value of a repeatable flag
+ */
+function optionValues(args, name) {
+  return args.flatMap((arg, i) => {
+    if (arg.startsWith(`${name}=`)) return [arg.slice(name.length + 1)];
+    return arg === name && args[i + 1] && !args[i + 1].startsWith('--') ? [args[i + 1]] : [];
+  });
+}
+
+/**
+ * Value of `--name value` or `--name=value`, or null
+ */
+function optionValue(args, name) {
+  const inline = args.find(a => a.startsWith(`${name}=`));
+  if (inline) return inline.slice(name.length + 1);
+
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')
+    ? args[index + 1]
+    : null;
+}
+
 function printHelp() {
   console.log(`
 JLMA-CFES v${VERSION} - Claude Flow Enhancement System
@@ -71,89 +161,325 @@ JLMA-CFES v${VERSION} - Claude Flow Enhancement System
 Usage: jlma-cfes <command> [options]
 
 Commands:
-  validate <file>    Validate a code file for security/performance issues
+  validate <paths...>
+                     Validate files, directories or globs for security/performance issues
   benchmark          Run performance benchmark
   metrics            Show current performance metrics
-  init               Initialize and connect to claude-flow
+  init               Initialize, connect to claude-flow and install Claude Code
+                     hooks into .claude/settings.json
+  uninstall          Remove the hooks init added to .claude/settings.json
   check <code>       Quick inline code check
+  baseline create <paths...>
+                     Record current findings in ${BASELINE_FILE}
+  hook <event>       Claude Code hook: read the event payload from stdin and
+                     answer with a decision (PreToolUse, PostToolUse,
+                     UserPromptSubmit, Stop, SubagentStop)
+  audit query        Search the hook decision audit log (hooks.audit)
+  audit verify       Check that no audit record was changed or removed
+  audit shadow       Compare what shadow-mode hooks and rules would have
+                     decided with the enforced decisions (from the audit log)
 
 Options:
   --help, -h         Show this help message
   --version, -v      Show version number
   --strict           Enable strict mode (block on any violation)
   --json             Output results as JSON
+  --format <fmt>     Output format for validate: text, json, sarif
+  --fail-on <sev>    Exit non-zero only for findings at or above CRITICAL/HIGH/MEDIUM/LOW
+  --ignore <pattern> Skip paths matching a .gitignore-style pattern (repeatable)
+  --jobs <n>         Validate files on n worker threads
+  --baseline <path>  Hide findings recorded in this baseline (validate)
+  --no-baseline      Report every finding, ignoring ${BASELINE_FILE}
+  --output <path>    Baseline file to write (baseline create)
+  --scope <scope>    Settings to install hooks into: project (default) or user
+  --dry-run          Show the settings.json diff without writing it (init, uninstall)
+  --since <when>     Audit records since an ISO date or a duration (30m, 24h, 7d)
+  --tool <name>      Audit records for one tool
+  --decision <d>     Audit records with decision allow, ask, deny or block
+  --session <id>     Audit records of one Claude Code session
+  --limit <n>        Only the newest n audit records
 
 Examples:
   jlma-cfes validate ./src/app.js
+  jlma-cfes validate ./src/app.js --format sarif > results.sarif
+  jlma-cfes validate src/ "lib/**/*.ts" --fail-on HIGH --ignore "*.min.js"
   jlma-cfes benchmark --iterations 200
   jlma-cfes check "const key = 'sk-abc123'"
   jlma-cfes init
+  jlma-cfes init --scope user --dry-run
+  jlma-cfes baseline create src/app.js src/db.js
+  echo '{"tool_name":"Bash","tool_input":{"command":"rm -rf /"}}' | jlma-cfes hook PreToolUse
+  jlma-cfes audit query --since 24h --decision deny
+  jlma-cfes audit shadow --since 7d
 `);
 }
 
 async function handleValidate(enhancer, args) {
-  const filePath = args[0];
-  const isJson = args.includes('--json');
+  const targets = positionalArgs(args);
+  const format = optionValue(args, '--format') || (args.includes('--json') ? 'json' : 'text');
+  const failOn = (optionValue(args, '--fail-on') || enhancer.options.failOn || '').toUpperCase() || null;
+
+  if (!['text', 'json', 'sarif'].includes(format)) {
+    console.error(`Error: Unknown format '${format}' (expected text, json or sarif)`);
+    process.exit(1);
+  }
+
+  if (failOn && !SEVERITY_RANK[failOn]) {
+    console.error(`Error: Unknown severity '${failOn}' (expected ${Object.keys(SEVERITY_RANK).join(', ')})`);
+    process.exit(1);
+  }
 
-  if (!filePath) {
-    console.error('Error: Please provide a file path');
-    console.log('Usage: jlma-cfes validate <file>');
+  if (targets.length === 0) {
+    console.error('Error: Please provide files, directories or glob patterns');
+    console.log('Usage: jlma-cfes validate <paths...> [--fail-on <severity>] [--ignore <pattern>]');
     process.exit(1);
   }
 
+  const files = scanTargets(enhancer, targets, args);
+
   try {
-    const fullPath = resolve(process.cwd(), filePath);
-    const code = readFileSync(fullPath, 'utf-8');
+    const results = await validateFiles(enhancer, files, args);
+
+    // A single explicit file keeps the one-file text output
+    const single = targets.length === 1 && files.length === 1 &&
+      resolve(process.cwd(), targets[0]) === files[0];
+    const failed = results.some(result => fileFails(result, failOn));
+
+    if (format === 'json') {
+      // `passed` is the verdict the exit code follows: pre and post checks, or --fail-on
+      const output = single
+        ? { file: results[0].path, language: results[0].language, passed: !failed, pre: results[0].pre, post: results[0].post }
+        : {
+          files: results.map(({ path, language, pre, post }) => ({ file: path, language, pre, post })),
+          summary: summarize(results, failOn)
+        };
+      console.log(JSON.stringify(output, null, 2));
+      process.exit(failed ? 1 : 0);
+    }
+
+    if (format === 'sarif') {
+      const report = new SarifReport({ root: process.cwd(), toolVersion: VERSION });
+      for (const result of results) {
+        report.addValidation(result.pre, result.file).addValidation(result.post, result.file);
+      }
+      console.log(JSON.stringify(report.toJSON(), null, 2));
+      process.exit(failed ? 1 : 0);
+    }
+
+    if (single) {
+      console.log(`\nValidating: ${targets[0]}`);
+      console.log('─'.repeat(50));
+      printFileResult(targets[0], results[0]);
+    } else {
+      console.log(`\nValidating ${files.length} files`);
+      console.log('─'.repeat(50));
+      for (const result of results.filter(hasOutput)) {
+        console.log(`\n■ ${result.path}`);
+        printFileResult(result.path, result);
+      }
+      printSummary(results, failOn);
+    }
+
+    console.log('\n' + '─'.repeat(50));
+    process.exit(failed ? 1 : 0);
+
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
 
-    console.log(`\nValidating: ${filePath}`);
-    console.log('─'.repeat(50));
+/**
+ * Expand file, directory and glob targets; exits if any target matches nothing
+ */
+function scanTargets(enhancer, targets, args) {
+  const scanner = new FileScanner({
+    cwd: process.cwd(),
+    ignore: [...(enhancer.options.ignorePatterns || []), ...optionValues(args, '--ignore')]
+  });
+  const { files, missing } = scanner.scan(targets);
+
+  if (missing.length > 0) {
+    console.error(`Error: No files found for: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+  if (files.length === 0) {
+    console.error('Error: No files to validate (all matches were ignored)');
+    process.exit(1);
+  }
 
-    // Run pre-validation
-    const preResult = await enhancer.validatePre(code);
+  return files;
+}
 
-    if (isJson) {
-      console.log(JSON.stringify(preResult, null, 2));
-      process.exit(preResult.passed ? 0 : 1);
+/**
+ * Validate files in order; `--jobs N` (or performance.workers) uses N worker threads
+ * Throws if any file could not be validated.
+ */
+async function validateFiles(enhancer, files, args) {
+  const jobs = Number(optionValue(args, '--jobs') || enhancer.options.workers || 1);
+  let results;
+
+  if (jobs > 1 && files.length > 1) {
+    const pool = enhancer.createValidationPool({ size: Math.min(jobs, files.length) });
+    try {
+      results = await pool.validateAll(files);
+    } finally {
+      await pool.close();
+    }
+  } else {
+    results = [];
+    for (const fullPath of files) {
+      results.push(await validateFile(enhancer, fullPath));
     }
+  }
+
+  const failures = results.filter(result => result.error);
+  if (failures.length > 0) {
+    throw new Error(failures.map(result => result.error).join('\n'));
+  }
+
+  return results.map(result => ({ ...result, path: relative(process.cwd(), result.file) || result.file }));
+}
+
+/**
+ * Without a fail-on severity a file fails like a single validation does;
+ * with one, any remaining finding at or above it fails the run
+ */
+function fileFails(result, failOn) {
+  if (!failOn) return !result.pre.passed || !result.post.passed;
+  return activeFindings(result).some(f => SEVERITY_RANK[f.severity] >= SEVERITY_RANK[failOn]);
+}
+
+function activeFindings(result) {
+  return [...(result.pre.violations || []), ...(result.post.issues || [])];
+}
+
+function hasOutput(result) {
+  const { pre, post } = result;
+  return activeFindings(result).length > 0 ||
+    [pre.suppressed, post.suppressed, pre.baselined, post.baselined, pre.baselineFixed, post.baselineFixed]
+      .some(list => list?.length > 0);
+}
 
-    console.log(`\nPre-Validation: ${preResult.passed ? '✅ PASSED' : '❌ FAILED'}`);
-    console.log(`Response Time: ${preResult.responseTime}`);
+function printFileResult(filePath, { pre: preResult, post: postResult }) {
+  console.log(`\nPre-Validation: ${preResult.passed ? '✅ PASSED' : '❌ FAILED'}`);
+  console.log(`Response Time: ${preResult.responseTime}`);
+  if (preResult.performanceCompliant !== undefined) {
     console.log(`Performance Compliant: ${preResult.performanceCompliant ? 'Yes' : 'No'}`);
+  }
 
-    if (preResult.violations?.length > 0) {
-      console.log(`\nViolations Found: ${preResult.violations.length}`);
-      for (const v of preResult.violations) {
-        console.log(`\n  [${v.severity}] ${v.type}`);
-        console.log(`  Message: ${v.message}`);
-        if (v.suggestion) {
-          console.log(`  Suggestion: ${v.suggestion}`);
-        }
+  if (preResult.violations?.length > 0) {
+    console.log(`\nViolations Found: ${preResult.violations.length}`);
+    for (const v of preResult.violations) {
+      console.log(`\n  [${v.severity}] ${v.type}`);
+      printLocation(filePath, v.location);
+      console.log(`  Message: ${v.message}`);
+      if (v.suggestion) {
+        console.log(`  Suggestion: ${v.suggestion}`);
       }
     }
+  }
 
-    // Run post-validation
-    const postResult = await enhancer.validatePost({ code });
+  printSuppressed(filePath, preResult.suppressed);
+  printBaseline(preResult);
 
-    console.log(`\nPost-Validation: ${postResult.passed ? '✅ PASSED' : '⚠️ ISSUES'}`);
-    console.log(`Quality Score: ${postResult.qualityScore}/100`);
+  console.log(`\nPost-Validation: ${postResult.passed ? '✅ PASSED' : '⚠️ ISSUES'}`);
+  console.log(`Quality Score: ${postResult.qualityScore}/100`);
 
-    if (postResult.issues?.length > 0) {
-      console.log(`\nQuality Issues: ${postResult.issues.length}`);
-      for (const issue of postResult.issues) {
-        console.log(`\n  [${issue.severity}] ${issue.type}`);
-        console.log(`  Message: ${issue.message}`);
-        if (issue.suggestion) {
-          console.log(`  Suggestion: ${issue.suggestion}`);
-        }
+  if (postResult.issues?.length > 0) {
+    console.log(`\nQuality Issues: ${postResult.issues.length}`);
+    for (const issue of postResult.issues) {
+      console.log(`\n  [${issue.severity}] ${issue.type}`);
+      printLocation(filePath, issue.location);
+      console.log(`  Message: ${issue.message}`);
+      if (issue.suggestion) {
+        console.log(`  Suggestion: ${issue.suggestion}`);
       }
     }
+  }
 
-    console.log('\n' + '─'.repeat(50));
-    process.exit(preResult.passed && postResult.passed ? 0 : 1);
+  printSuppressed(filePath, postResult.suppressed);
+  printBaseline(postResult);
+}
 
-  } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
+/**
+ * Per-file finding counts by severity (occurrences, not finding groups)
+ */
+function summarize(results, failOn) {
+  const files = results.map(result => {
+    const counts = { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 };
+    for (const finding of activeFindings(result)) {
+      counts[finding.severity] = (counts[finding.severity] || 0) + (finding.locations?.length || 1);
+    }
+    return {
+      file: result.path,
+      counts,
+      qualityScore: result.post.qualityScore,
+      failed: fileFails(result, failOn)
+    };
+  });
+
+  return {
+    files,
+    totalFiles: files.length,
+    filesWithFindings: files.filter(f => Object.values(f.counts).some(n => n > 0)).length,
+    failedFiles: files.filter(f => f.failed).length,
+    failOn
+  };
+}
+
+function printSummary(results, failOn) {
+  const summary = summarize(results, failOn);
+  const width = Math.min(60, Math.max(4, ...summary.files.map(f => f.file.length)));
+  const cell = (value) => String(value).padStart(6);
+
+  console.log('\nSummary:');
+  console.log(`  ${'File'.padEnd(width)}${cell('CRIT')}${cell('HIGH')}${cell('MED')}${cell('LOW')}${cell('Score')}`);
+  for (const { file, counts, qualityScore, failed } of summary.files) {
+    const name = file.length > width ? `…${file.slice(-(width - 1))}` : file.padEnd(width);
+    console.log(
+      `  ${name}${cell(counts.CRITICAL)}${cell(counts.HIGH)}${cell(counts.MEDIUM)}${cell(counts.LOW)}` +
+      `${cell(qualityScore)}  ${failed ? '❌' : '✅'}`
+    );
+  }
+
+  const threshold = failOn ? ` (fail on ${failOn} and above)` : '';
+  console.log(
+    `\n  ${summary.totalFiles} files, ${summary.filesWithFindings} with findings, ` +
+    `${summary.failedFiles} failing${threshold}`
+  );
+}
+
+function printLocation(filePath, location) {
+  if (!location) return;
+  console.log(`  Location: ${filePath}:${location.line}:${location.column}`);
+  if (location.snippet) {
+    console.log(`  > ${location.snippet.split('\n')[0]}`);
+  }
+}
+
+function printSuppressed(filePath, suppressed) {
+  if (!suppressed?.length) return;
+
+  console.log(`\nSuppressed: ${suppressed.length}`);
+  for (const finding of suppressed) {
+    const { directive, reason, line } = finding.suppression;
+    console.log(`  [${finding.severity}] ${finding.type} (${directive} at ${filePath}:${line})`);
+    console.log(`  Reason: ${reason || 'none given'}`);
+  }
+}
+
+function printBaseline(result) {
+  if (result.baselined?.length > 0) {
+    const count = result.baselined.reduce((sum, f) => sum + (f.locations?.length || 1), 0);
+    console.log(`\nBaselined: ${count} known finding(s) hidden`);
+  }
+
+  if (result.baselineFixed?.length > 0) {
+    console.log(`\nFixed since baseline: ${result.baselineFixed.length}`);
+    for (const entry of result.baselineFixed) {
+      console.log(`  [${entry.severity}] ${entry.rule} (was ${entry.file}:${entry.line})`);
+    }
   }
 }
 
@@ -207,16 +533,18 @@ function handleMetrics(enhancer) {
   console.log('─'.repeat(50));
 }
 
-async function handleInit(enhancer) {
+/**
+ * Report the initialization main() already ran, then install the hooks
+ */
+function handleInit(initResult, args) {
   console.log('\nInitializing JLMA-CFES with claude-flow...');
   console.log('─'.repeat(50));
 
-  const initResult = await enhancer.initialize();
-
   if (initResult.success) {
     console.log('✅ Initialization successful!');
     console.log(`  Version: ${initResult.version}`);
     console.log(`  Init Time: ${initResult.initTime}`);
+    console.log(`  Config: ${initResult.configSources.join(' -> ')}`);
     console.log(`  Features:`);
     for (const [feature, enabled] of Object.entries(initResult.features)) {
       console.log(`    ${feature}: ${enabled ? '✅' : '❌'}`);
@@ -227,6 +555,52 @@ async function handleInit(enhancer) {
   }
 
   console.log('─'.repeat(50));
+
+  updateSettings('install', args);
+}
+
+function handleUninstall(args) {
+  updateSettings('uninstall', args);
+}
+
+/**
+ * Install or remove the Claude Code hooks in settings.json
+ * --dry-run prints the diff instead of writing it.
+ */
+function updateSettings(action, args) {
+  const dryRun = args.includes('--dry-run');
+
+  let settings;
+  let plan;
+  try {
+    settings = new ClaudeCodeSettings({ scope: optionValue(args, '--scope') || 'project' });
+    plan = action === 'install' ? settings.planInstall() : settings.planUninstall();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const where = settings.scope === 'project' ? relative(process.cwd(), plan.path) : plan.path;
+
+  if (!plan.changed) {
+    console.log(action === 'install'
+      ? `Claude Code hooks already installed in ${where}`
+      : `No jlma-cfes hooks found in ${where}`);
+    return;
+  }
+
+  if (dryRun) {
+    console.log(ClaudeCodeSettings.diff(plan));
+    console.log(`\nDry run: ${where} not modified`);
+    return;
+  }
+
+  settings.apply(plan);
+  for (const change of plan.changes) {
+    const verb = change.action === 'add' ? 'Added' : 'Removed';
+    console.log(`✅ ${verb} ${change.event} hook${change.matcher ? ` (${change.matcher})` : ''}: ${change.command}`);
+  }
+  console.log(`  Settings: ${where}`);
 }
 
 async function handleCheck(enhancer, args) {
@@ -250,7 +624,8 @@ async function handleCheck(enhancer, args) {
 
     if (result.violations?.length > 0) {
       for (const v of result.violations) {
-        console.log(`  [${v.severity}] ${v.message}`);
+        const at = v.location ? ` (${v.location.line}:${v.location.column})` : '';
+        console.log(`  [${v.severity}] ${v.message}${at}`);
       }
     }
   }
@@ -258,6 +633,175 @@ async function handleCheck(enhancer, args) {
   process.exit(result.passed ? 0 : 1);
 }
 
+async function handleBaseline(enhancer, args) {
+  const [subcommand, ...targets] = positionalArgs(args);
+  const output = resolve(process.cwd(), optionValue(args, '--output') || BASELINE_FILE);
+
+  if (subcommand !== 'create' || targets.length === 0) {
+    console.error('Error: Please provide files to baseline');
+    console.log('Usage: jlma-cfes baseline create <paths...> [--output <path>]');
+    process.exit(1);
+  }
+
+  const files = scanTargets(enhancer, targets, args);
+  const baseline = new Baseline({}, { root: process.cwd() });
+
+  try {
+    for (const { file, pre, post } of await validateFiles(enhancer, files, args)) {
+      baseline.add(file, 'pre', pre.violations || []);
+      baseline.add(file, 'post', post.issues || []);
+    }
+
+    baseline.save(output);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { totalFindings } = baseline.toJSON();
+  console.log(`\nBaseline written: ${output}`);
+  console.log(`  Files: ${files.length}`);
+  console.log(`  Findings: ${totalFindings}`);
+}
+
+/**
+ * Audit log: query records or verify the hash chain
+ */
+function handleAudit(enhancer, args) {
+  const [subcommand] = positionalArgs(args);
+  const audit = new AuditLog(enhancer.options.auditLog);
+
+  if (subcommand === 'verify') {
+    const result = audit.verify();
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(result, null, 2));
+    } else if (result.valid) {
+      console.log(`✅ Audit log intact: ${result.records} records`);
+    } else {
+      const at = result.seq !== null ? ` (record ${result.seq})` : '';
+      console.log(`❌ Audit log tampered${at}: ${result.error}`);
+      console.log(`   File: ${result.file}`);
+    }
+    process.exit(result.valid ? 0 : 1);
+  }
+
+  if (subcommand !== 'query' && subcommand !== 'shadow') {
+    console.error('Error: Unknown audit command');
+    console.log('Usage: jlma-cfes audit query [--since <when>] [--tool <name>] [--decision <d>] [--session <id>] [--limit <n>]');
+    console.log('       jlma-cfes audit shadow [--since <when>] [--tool <name>] [--session <id>]');
+    console.log('       jlma-cfes audit verify');
+    process.exit(1);
+  }
+
+  let records;
+  try {
+    records = audit.query({
+      since: optionValue(args, '--since'),
+      tool: optionValue(args, '--tool'),
+      decision: optionValue(args, '--decision'),
+      session: optionValue(args, '--session'),
+      limit: parseInt(optionValue(args, '--limit'), 10) || null
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (subcommand === 'shadow') {
+    printShadowReport(ShadowReport.fromRecords(records).summary(), args);
+    return;
+  }
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(records, null, 2));
+    return;
+  }
+
+  if (records.length === 0) {
+    console.log(`No audit records in ${audit.path}`);
+    return;
+  }
+
+  for (const record of records) {
+    const target = record.file ? ` ${record.file}` : '';
+    // Prompt and stop records have no tool: name the hook event instead
+    const subject = record.tool || `${record.phase.charAt(0).toUpperCase()}${record.phase.slice(1)}`;
+    console.log(`${record.timestamp}  ${record.decision.padEnd(5)}  ${record.phase}  ${subject}${target}`);
+    if (record.reason) console.log(`  ${record.reason}`);
+    for (const hook of record.hooks.filter(h => h.decision !== 'allow')) {
+      console.log(`  - ${hook.hookId}: ${hook.decision}${hook.error ? ` (${hook.error})` : ''}`);
+    }
+  }
+  console.log(`\n${records.length} record(s)`);
+}
+
+function printShadowReport(report, args) {
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`\nShadow report: ${report.calls.preToolUse} PreToolUse / ${report.calls.postToolUse} PostToolUse / ` +
+    `${report.calls.userPromptSubmit} UserPromptSubmit / ${report.calls.stop + report.calls.subagentStop} Stop calls`);
+  if (report.entries.length === 0) {
+    console.log('  No shadow-mode hook or rule has fired');
+    return;
+  }
+
+  for (const entry of report.entries) {
+    const name = entry.rule ? `${entry.hookId} › ${entry.rule}` : entry.hookId;
+    const decisions = Object.entries(entry.decisions).map(([decision, n]) => `${n} ${decision}`).join(', ');
+    console.log(`\n  ${name} (${entry.phase})`);
+    console.log(`    Findings: ${entry.findings}, would decide: ${decisions || 'allow'}`);
+    console.log(`    Enforced hooks agreed: ${entry.agreed}`);
+    console.log(`    New blocks: ${entry.added} (${(entry.addedRate * 100).toFixed(1)}% of calls)`);
+    for (const sample of entry.samples) {
+      console.log(`      - ${sample.timestamp} ${sample.tool || 'no tool'}${sample.file ? ` ${sample.file}` : ''}: ${sample.reason}`);
+    }
+  }
+}
+
+/**
+ * Claude Code hook: payload on stdin, decision JSON on stdout
+ * Errors exit 1 with a message on stderr (reported, never blocking).
+ */
+async function handleHook(args) {
+  const [event] = positionalArgs(args);
+
+  if (process.stdin.isTTY) {
+    console.error('Error: jlma-cfes hook reads the hook payload from stdin');
+    console.log('Usage: echo \'{"tool_name":"Bash","tool_input":{"command":"ls"}}\' | jlma-cfes hook PreToolUse');
+    process.exit(EXIT_CODES.ERROR);
+  }
+
+  let response;
+  try {
+    const payload = ClaudeCodeHookAdapter.parsePayload(await readStdin());
+
+    const enhancer = createEnhancer({
+      ...enhancerOptions('hook', args),
+      ...(payload.cwd ? { cwd: payload.cwd } : {}),
+      enableHooks: true
+    });
+    const initResult = await enhancer.initialize();
+    if (!initResult.success) throw new Error(initResult.error);
+
+    response = await enhancer.handleClaudeCodeHook(event, payload);
+  } catch (error) {
+    response = { exitCode: EXIT_CODES.ERROR, output: null, stderr: error.message };
+  }
+
+  if (response.output) process.stdout.write(`${JSON.stringify(response.output)}\n`);
+  if (response.stderr) process.stderr.write(`jlma-cfes: ${response.stderr}\n`);
+  process.exit(response.exitCode);
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
 main().catch(error => {
   console.error('Fatal error:', error.message);
   process.exit(1);
@@ -0,0 +1,255 @@
+/**
+ * ClaudeCodeHookAdapter - Claude Code hook protocol for ValidationHooks
+ *
+ * Claude Code runs hooks as shell commands: the event payload arrives as
+ * JSON on stdin and the hook answers through its exit code and stdout.
+ * This adapter maps a payload onto the registered ValidationHooks phases
+ * and builds the response `jlma-cfes hook <event>` writes back:
+ *
+ * - PreToolUse: the hooks' aggregated decision (deny > ask > allow)
+ *   becomes `permissionDecision` with the interventions as the reason.
+ *   Allowed tools produce no output,
+ *   so Claude Code's own permission rules still apply. Rewritten input is
+ *   returned as `updatedInput` with 'ask', so the user confirms the change
+ * - PostToolUse: failed quality checks become `decision: 'block'` with the
+ *   issues as the reason; other issues are passed on as additional context
+ * - UserPromptSubmit: blocked prompts become `decision: 'block'`. Claude
+ *   Code cannot replace a prompt, so a redacted one is blocked too, with the
+ *   redacted text in the reason to resubmit. Context from the hooks is
+ *   returned as `additionalContext`
+ * - Stop, SubagentStop: unmet completion checks become `decision: 'block'`,
+ *   which keeps the agent working, with what is missing as the reason. When
+ *   loop protection lets the stop through anyway, the unmet checks are shown
+ *   to the user as a `systemMessage`
+ *
+ * Decisions exit 0 with JSON on stdout. Malformed payloads and unknown
+ * events exit 1, which Claude Code reports without blocking the session.
+ */
+
+export const HOOK_EVENTS = ['PreToolUse', 'PostToolUse', 'UserPromptSubmit', 'Stop', 'SubagentStop'];
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1
+};
+
+export class ClaudeCodeHookAdapter {
+  /**
+   * @param {ValidationHooks} hooks - Hook registry to run
+   */
+  constructor(hooks) {
+    if (!hooks) {
+      throw new Error('ClaudeCodeHookAdapter requires a ValidationHooks instance');
+    }
+    this.hooks = hooks;
+  }
+
+  /**
+   * Parse a hook payload read from stdin
+   *
+   * @param {string} text - Raw stdin
+   * @returns {Object} Payload
+   */
+  static parsePayload(text) {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Hook payload is not valid JSON: ${error.message}`);
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw new Error('Hook payload must be a JSON object');
+    }
+    return payload;
+  }
+
+  /**
+   * Run the hooks for one event
+   *
+   * @param {string} event - Hook event name (defaults to payload.hook_event_name)
+   * @param {Object} payload - Parsed hook payload
+   * @returns {Object} { exitCode, output, stderr } - output is the stdout JSON or null
+   */
+  async handle(event, payload) {
+    const name = event || payload?.hook_event_name;
+
+    if (!HOOK_EVENTS.includes(name)) {
+      return this._error(`Unsupported hook event '${name}' (expected one of: ${HOOK_EVENTS.join(', ')})`);
+    }
+
+    const context = {
+      event: name,
+      sessionId: payload.session_id || null,
+      cwd: payload.cwd || null,
+      transcriptPath: payload.transcript_path || null
+    };
+
+    switch (name) {
+      case 'PreToolUse':
+        if (!payload.tool_name) return this._error('PreToolUse payload is missing tool_name');
+        return this._preToolUse(payload, context);
+
+      case 'PostToolUse':
+        if (!payload.tool_name) return this._error('PostToolUse payload is missing tool_name');
+        return this._postToolUse(payload, context);
+
+      case 'UserPromptSubmit':
+        if (typeof payload.prompt !== 'string') return this._error('UserPromptSubmit payload is missing prompt');
+        return this._userPromptSubmit(payload, context);
+
+      default:
+        return this._stop(name, { ...context, stopHookActive: payload.stop_hook_active === true });
+    }
+  }
+
+  async _preToolUse(payload, context) {
+    const result = await this.hooks.executePreToolUse(payload.tool_name, payload.tool_input || {}, context);
+
+    if (result.allowed && result.updatedParams) {
+      return {
+        exitCode: EXIT_CODES.SUCCESS,
+        output: {
+          hookSpecificOutput: {
+            hookEventName: 'PreToolUse',
+            permissionDecision: 'ask',
+            permissionDecisionReason: formatMutations(result.mutations),
+            updatedInput: result.updatedParams
+          }
+        },
+        stderr: null
+      };
+    }
+
+    if (result.allowed) {
+      return { exitCode: EXIT_CODES.SUCCESS, output: null, stderr: null };
+    }
+
+    const hookSpecificOutput = {
+      hookEventName: 'PreToolUse',
+      permissionDecision: result.decision,
+      permissionDecisionReason: formatInterventions(result.interventions)
+    };
+    // The user is asked about the rewritten call, not the original
+    if (result.decision === 'ask' && result.updatedParams) {
+      hookSpecificOutput.updatedInput = result.updatedParams;
+    }
+
+    return { exitCode: EXIT_CODES.SUCCESS, output: { hookSpecificOutput }, stderr: null };
+  }
+
+  async _postToolUse(payload, context) {
+    const result = await this.hooks.executePostToolUse(
+      payload.tool_name,
+      payload.tool_input || {},
+      payload.tool_response ?? null,
+      context
+    );
+
+    if (result.issues.length === 0) {
+      return { exitCode: EXIT_CODES.SUCCESS, output: null, stderr: null };
+    }
+
+    const summary = formatIssues(result.issues);
+    const output = {
+      hookSpecificOutput: {
+        hookEventName: 'PostToolUse',
+        additionalContext: `jlma-cfes found ${result.issues.length} issue(s):\n${summary}`
+      }
+    };
+    if (!result.valid) {
+      output.decision = 'block';
+      output.reason = `Quality validation failed:\n${summary}`;
+    }
+
+    return { exitCode: EXIT_CODES.SUCCESS, output, stderr: null };
+  }
+
+  async _userPromptSubmit(payload, context) {
+    const result = await this.hooks.executeUserPromptSubmit(payload.prompt, context);
+
+    if (!result.allowed) {
+      return {
+        exitCode: EXIT_CODES.SUCCESS,
+        output: { decision: 'block', reason: formatInterventions(result.interventions) },
+        stderr: null
+      };
+    }
+
+    if (result.updatedPrompt !== null) {
+      return {
+        exitCode: EXIT_CODES.SUCCESS,
+        output: {
+          decision: 'block',
+          reason: `${formatMutations(result.mutations)}\nResubmit the prompt without them:\n\n${result.updatedPrompt}`
+        },
+        stderr: null
+      };
+    }
+
+    if (result.additionalContext.length === 0) {
+      return { exitCode: EXIT_CODES.SUCCESS, output: null, stderr: null };
+    }
+
+    return {
+      exitCode: EXIT_CODES.SUCCESS,
+      output: {
+        hookSpecificOutput: {
+          hookEventName: 'UserPromptSubmit',
+          additionalContext: result.additionalContext.join('\n\n')
+        }
+      },
+      stderr: null
+    };
+  }
+
+  async _stop(event, context) {
+    const result = event === 'SubagentStop'
+      ? await this.hooks.executeSubagentStop(context)
+      : await this.hooks.executeStop(context);
+
+    if (!result.allowed) {
+      return {
+        exitCode: EXIT_CODES.SUCCESS,
+        output: { decision: 'block', reason: formatInterventions(result.interventions) },
+        stderr: null
+      };
+    }
+
+    if (result.loopProtected) {
+      return { exitCode: EXIT_CODES.SUCCESS, output: { systemMessage: `jlma-cfes: ${result.reason}` }, stderr: null };
+    }
+
+    return { exitCode: EXIT_CODES.SUCCESS, output: null, stderr: null };
+  }
+
+  _error(message) {
+    return { exitCode: EXIT_CODES.ERROR, output: null, stderr: message };
+  }
+}
+
+function formatInterventions(interventions) {
+  return interventions.map(intervention => {
+    const edit = intervention.editIndex !== undefined ? ` (edit ${intervention.editIndex})` : '';
+    const suggestion = intervention.suggestion ? ` Suggestion: ${intervention.suggestion}` : '';
+    return `[${intervention.severity}] ${intervention.reason}${edit}${suggestion}`;
+  }).join('\n');
+}
+
+function formatMutations(mutations) {
+  return mutations.map(mutation =>
+    `${mutation.hookId} rewrote ${mutation.fields.join(', ')}${mutation.reason ? `: ${mutation.reason}` : ''}`
+  ).join('\n');
+}
+
+function formatIssues(issues) {
+  return issues.map(issue => {
+    const at = [
+      issue.editIndex !== undefined ? `edit ${issue.editIndex}` : null,
+      issue.location ? `line ${issue.location.line}` : null
+    ].filter(Boolean).join(', ');
+    return `- [${issue.severity}] ${issue.message}${at ? ` (${at})` : ''}`;
+  }).join('\n');
+}
+
+export default ClaudeCodeHookAdapter;
@@ -0,0 +1,208 @@
+/**
+ * ClaudeCodeSettings - Install jlma-cfes hooks into .claude/settings.json
+ *
+ * Claude Code reads hooks from `.claude/settings.json` in the project or
+ * `~/.claude/settings.json` for the user:
+ *
+ *   { "hooks": { "PreToolUse": [{ "matcher": "Write|Edit", "hooks": [{ "type": "command", "command": "..." }] }] } }
+ *
+ * Install merges one command hook per event into that structure without
+ * touching anything else: an existing group with the same matcher gains
+ * the hook, otherwise a new group is appended. Uninstall removes those
+ * commands, plus any group, event or `hooks` object left empty by it.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+
+export const SETTINGS_SCOPES = ['project', 'user'];
+
+export const DEFAULT_HOOK_COMMAND = 'npx jlma-cfes hook';
+
+// Events jlma-cfes answers, and the tools each one runs for (none: every call)
+export const HOOK_ENTRIES = [
+  { event: 'PreToolUse', matcher: 'Read|Grep|Glob|Write|Edit|MultiEdit|NotebookEdit|Bash' },
+  { event: 'PostToolUse', matcher: 'Write|Edit|MultiEdit|NotebookEdit' },
+  { event: 'UserPromptSubmit' },
+  { event: 'Stop' },
+  { event: 'SubagentStop' }
+];
+
+export class ClaudeCodeSettings {
+  /**
+   * @param {Object} options
+   * @param {string} options.scope - 'project' (default) or 'user'
+   * @param {string} options.cwd - Project directory (default: process.cwd())
+   * @param {string} options.home - User home directory (default: os.homedir())
+   * @param {string} options.command - Hook command prefix; the event name is appended
+   */
+  constructor(options = {}) {
+    const scope = options.scope || 'project';
+    if (!SETTINGS_SCOPES.includes(scope)) {
+      throw new Error(`Invalid settings scope '${scope}' (expected one of: ${SETTINGS_SCOPES.join(', ')})`);
+    }
+
+    this.scope = scope;
+    this.command = options.command || DEFAULT_HOOK_COMMAND;
+    this.path = scope === 'user'
+      ? join(options.home || homedir(), '.claude', 'settings.json')
+      : join(options.cwd || process.cwd(), '.claude', 'settings.json');
+  }
+
+  /**
+   * Plan the install: settings before and after merging the hooks
+   *
+   * @returns {Object} { path, before, after, changes[], changed }
+   */
+  planInstall() {
+    const before = this._read();
+    const after = structuredClone(before);
+    const changes = [];
+
+    for (const { event, matcher } of HOOK_ENTRIES) {
+      const command = this._commandFor(event);
+      const groups = ((after.hooks ??= {})[event] ??= []);
+
+      if (groups.some(group => hasCommand(group, command))) continue;
+
+      const group = groups.find(candidate => candidate.matcher === matcher);
+      if (group) {
+        (group.hooks ??= []).push({ type: 'command', command });
+      } else {
+        groups.push({ ...(matcher ? { matcher } : {}), hooks: [{ type: 'command', command }] });
+      }
+      changes.push({ action: 'add', event, matcher, command });
+    }
+
+    return this._plan(before, after, changes);
+  }
+
+  /**
+   * Plan the uninstall: settings before and after removing the hooks
+   *
+   * @returns {Object} { path, before, after, changes[], changed }
+   */
+  planUninstall() {
+    const before = this._read();
+    const after = structuredClone(before);
+    const changes = [];
+
+    for (const { event } of HOOK_ENTRIES) {
+      const command = this._commandFor(event);
+      const groups = after.hooks?.[event];
+      if (!Array.isArray(groups)) continue;
+
+      for (const group of groups) {
+        if (!hasCommand(group, command)) continue;
+        group.hooks = group.hooks.filter(hook => hook.command !== command);
+        changes.push({ action: 'remove', event, matcher: group.matcher, command });
+      }
+
+      after.hooks[event] = groups.filter(group => !Array.isArray(group.hooks) || group.hooks.length > 0);
+      if (after.hooks[event].length === 0) delete after.hooks[event];
+    }
+
+    if (changes.length > 0 && after.hooks && Object.keys(after.hooks).length === 0) {
+      delete after.hooks;
+    }
+
+    return this._plan(before, after, changes);
+  }
+
+  /**
+   * Write a planned change to disk (no-op when nothing changed)
+   *
+   * @param {Object} plan - Result of planInstall() or planUninstall()
+   */
+  apply(plan) {
+    if (!plan.changed) return;
+    mkdirSync(dirname(plan.path), { recursive: true });
+    writeFileSync(plan.path, formatSettings(plan.after), 'utf-8');
+  }
+
+  /**
+   * Line diff of a plan's settings file, `-`/`+` prefixed
+   *
+   * @param {Object} plan - Result of planInstall() or planUninstall()
+   * @returns {string} Diff text
+   */
+  static diff(plan) {
+    const before = plan.existed ? formatSettings(plan.before).trimEnd().split('\n') : [];
+    const after = formatSettings(plan.after).trimEnd().split('\n');
+    return [`--- ${plan.existed ? plan.path : '/dev/null'}`, `+++ ${plan.path}`, ...diffLines(before, after)].join('\n');
+  }
+
+  _commandFor(event) {
+    return `${this.command} ${event}`;
+  }
+
+  _read() {
+    if (!existsSync(this.path)) return {};
+
+    let settings;
+    try {
+      settings = JSON.parse(readFileSync(this.path, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to read ${this.path}: ${error.message}`);
+    }
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(`${this.path} must contain a JSON object`);
+    }
+    if (settings.hooks !== undefined && (typeof settings.hooks !== 'object' || Array.isArray(settings.hooks))) {
+      throw new Error(`${this.path}: "hooks" must be an object`);
+    }
+    return settings;
+  }
+
+  _plan(before, after, changes) {
+    return {
+      path: this.path,
+      existed: existsSync(this.path),
+      before,
+      after: changes.length > 0 ? after : before,
+      changes,
+      changed: changes.length > 0
+    };
+  }
+}
+
+function hasCommand(group, command) {
+  return Array.isArray(group?.hooks) && group.hooks.some(hook => hook.command === command);
+}
+
+function formatSettings(settings) {
+  return `${JSON.stringify(settings, null, 2)}\n`;
+}
+
+/**
+ * Minimal LCS line diff - settings files are small
+ */
+function diffLines(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i++]}`);
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      lines.push(`+ ${b[j++]}`);
+    } else {
+      lines.push(`- ${a[i++]}`);
+    }
+  }
+  return lines;
+}
+
+export default ClaudeCodeSettings;
@@ -0,0 +1,326 @@
+/**
+ * AuditLog - Append-only, hash-chained JSONL record of hook decisions
+ *
+ * One line per executePreToolUse / executePostToolUse call: when, which
+ * session, which tool, a hash of its parameters, what every hook decided
+ * and why, and how long it took. Parameters themselves are not stored -
+ * they may contain the very secrets the hooks block.
+ *
+ * Each record carries `prevHash` (the previous record's `hash`) and its own
+ * `hash` over its content, so editing, deleting or reordering lines breaks
+ * the chain and verify() points at the first broken record.
+ *
+ * The active file rotates to `<name>.1.jsonl`, `<name>.2.jsonl`, ... when
+ * it would exceed `maxFileSize`; files beyond `maxFiles` are deleted. The
+ * chain continues across rotations.
+ *
+ * Every hook invocation is its own process, so append() holds an exclusive
+ * `<path>.lock` file while it reads the chain head and writes; concurrent
+ * writers queue up instead of forking the chain. The lock names its
+ * holder's pid and is broken once that process is gone, or held too long.
+ */
+
+import { createHash } from 'crypto';
+import {
+  closeSync, existsSync, fstatSync, mkdirSync, openSync, readFileSync, readSync, renameSync, statSync, unlinkSync,
+  appendFileSync, rmSync, writeSync
+} from 'fs';
+import { dirname, resolve } from 'path';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const LOCK_TIMEOUT = 5000;
+const LOCK_STALE_AFTER = 2000; // an append takes milliseconds; shorter than LOCK_TIMEOUT
+
+export class AuditLog {
+  /**
+   * @param {Object} options - Audit options
+   * @param {string} options.path - Active log file (default .jlma/audit.jsonl)
+   * @param {number} options.maxFileSize - Rotate before a file exceeds this many bytes
+   * @param {number} options.maxFiles - Files kept, the active one included
+   */
+  constructor(options = {}) {
+    this.path = resolve(options.path || '.jlma/audit.jsonl');
+    this.maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+    this.maxFiles = Math.max(1, options.maxFiles || DEFAULT_MAX_FILES);
+    this.lockPath = `${this.path}.lock`;
+  }
+
+  /**
+   * Hash of tool parameters, stable across key order
+   */
+  static hashParams(params) {
+    return createHash('sha256').update(stableStringify(params ?? null)).digest('hex');
+  }
+
+  /**
+   * Append a record to the chain
+   *
+   * @param {Object} entry - Record content (timestamp, seq and hashes are added)
+   * @returns {Object} The written record
+   */
+  append(entry) {
+    mkdirSync(dirname(this.path), { recursive: true });
+    const lock = this._lock();
+    try {
+      const head = this._readHead();
+      const record = {
+        seq: head.seq + 1,
+        timestamp: new Date().toISOString(),
+        ...entry,
+        prevHash: head.hash
+      };
+      record.hash = hashRecord(record);
+
+      const line = `${JSON.stringify(record)}\n`;
+      this._rotateIfNeeded(Buffer.byteLength(line));
+      appendFileSync(this.path, line, 'utf-8');
+      return record;
+    } finally {
+      closeSync(lock);
+      rmSync(this.lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Search records, oldest first
+   *
+   * @param {Object} filter
+   * @param {string|Date} filter.since - ISO date or a duration like 30m, 24h, 7d
+   * @param {string} filter.tool - Tool name
+   * @param {string} filter.decision - allow, ask or deny (other phases: allow or block)
+   * @param {string} filter.session - Session id
+   * @param {number} filter.limit - Keep only the newest `limit` matches
+   * @returns {Array} Matching records
+   */
+  query(filter = {}) {
+    const since = filter.since ? parseSince(filter.since) : null;
+
+    const matches = this.records().filter(record =>
+      (!since || new Date(record.timestamp) >= since) &&
+      (!filter.tool || record.tool === filter.tool) &&
+      (!filter.decision || record.decision === filter.decision) &&
+      (!filter.session || record.sessionId === filter.session));
+
+    return filter.limit ? matches.slice(-filter.limit) : matches;
+  }
+
+  /**
+   * Check the hash chain across all retained files
+   * The oldest retained record anchors the chain (older files may have rotated out).
+   *
+   * @returns {Object} { valid, records, error, seq, file }
+   */
+  verify() {
+    let previous = null;
+    let count = 0;
+
+    for (const file of this.files()) {
+      const lines = readFileSync(file, 'utf-8').split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        if (!lines[i]) continue;
+
+        let record;
+        try {
+          record = JSON.parse(lines[i]);
+        } catch {
+          return { valid: false, records: count, error: `Unparseable record at line ${i + 1}`, seq: null, file };
+        }
+
+        if (hashRecord(record) !== record.hash) {
+          return { valid: false, records: count, error: 'Record content does not match its hash', seq: record.seq, file };
+        }
+        if (previous && (record.prevHash !== previous.hash || record.seq !== previous.seq + 1)) {
+          return { valid: false, records: count, error: 'Chain broken: record does not follow the previous one', seq: record.seq, file };
+        }
+
+        previous = record;
+        count++;
+      }
+    }
+
+    return { valid: true, records: count, error: null, seq: null, file: null };
+  }
+
+  /**
+   * All retained records, oldest first
+   */
+  records() {
+    return this.files().flatMap(file => readFileSync(file, 'utf-8')
+      .split('\n')
+      .filter(Boolean)
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      }));
+  }
+
+  /**
+   * Retained log files, oldest first
+   */
+  files() {
+    const files = [];
+    for (let n = this.maxFiles - 1; n >= 1; n--) {
+      if (existsSync(this._rotated(n))) files.push(this._rotated(n));
+    }
+    if (existsSync(this.path)) files.push(this.path);
+    return files;
+  }
+
+  _rotated(n) {
+    return this.path.endsWith('.jsonl')
+      ? `${this.path.slice(0, -'.jsonl'.length)}.${n}.jsonl`
+      : `${this.path}.${n}`;
+  }
+
+  _rotateIfNeeded(bytes) {
+    if (!existsSync(this.path)) return;
+
+    const size = statSync(this.path).size;
+    if (size === 0 || size + bytes <= this.maxFileSize) return;
+
+    if (this.maxFiles === 1) {
+      unlinkSync(this.path);
+      return;
+    }
+
+    const oldest = this._rotated(this.maxFiles - 1);
+    if (existsSync(oldest)) unlinkSync(oldest);
+    for (let n = this.maxFiles - 2; n >= 1; n--) {
+      if (existsSync(this._rotated(n))) renameSync(this._rotated(n), this._rotated(n + 1));
+    }
+    renameSync(this.path, this._rotated(1));
+  }
+
+  /**
+   * Create the lock file exclusively, waiting while another writer holds it
+   * A lock whose holder has exited, or that is older than LOCK_STALE_AFTER,
+   * was left by a writer that crashed mid-append and is removed.
+   *
+   * @returns {number} Lock file descriptor
+   */
+  _lock() {
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    for (;;) {
+      try {
+        const fd = openSync(this.lockPath, 'wx');
+        writeSync(fd, String(process.pid));
+        return fd;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      try {
+        const holder = Number(readFileSync(this.lockPath, 'utf-8'));
+        if (!isRunning(holder) || Date.now() - statSync(this.lockPath).mtimeMs > LOCK_STALE_AFTER) {
+          rmSync(this.lockPath, { force: true });
+          continue;
+        }
+      } catch {
+        continue; // Released while we looked at it
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Audit log is locked by another process: ${this.lockPath}`);
+      }
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 5);
+    }
+  }
+
+  /**
+   * Sequence number and hash of the newest record on disk
+   * Read under the lock on every append: other processes extend the chain too.
+   */
+  _readHead() {
+    const newest = this.files().reverse().map(lastLine).find(Boolean);
+    let record = null;
+    try {
+      record = newest ? JSON.parse(newest) : null;
+    } catch {
+      // A torn last line: start the next record from genesis, verify() reports the break
+    }
+
+    return record ? { seq: record.seq, hash: record.hash } : { seq: 0, hash: GENESIS_HASH };
+  }
+}
+
+/**
+ * False only for a pid no process has; a lock without one yet counts as held
+ */
+function isRunning(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return true;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Hash over every field but `hash` itself
+ */
+function hashRecord(record) {
+  const { hash, ...content } = record;
+  return createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+/**
+ * JSON with object keys sorted, so equal values hash equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Last non-empty line of a file, read backwards in growing chunks
+ */
+function lastLine(file) {
+  const fd = openSync(file, 'r');
+  try {
+    const size = fstatSync(fd).size;
+    for (let chunk = 64 * 1024; ; chunk *= 4) {
+      const length = Math.min(chunk, size);
+      const buffer = Buffer.alloc(length);
+      readSync(fd, buffer, 0, length, size - length);
+      const lines = buffer.toString('utf-8').split('\n').filter(Boolean);
+      // The first line of a partial chunk may be cut off
+      if (lines.length > 1 || length === size) return lines[lines.length - 1] || null;
+    }
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * `30m`, `24h`, `7d` before now, or an ISO date
+ */
+export function parseSince(since) {
+  if (since instanceof Date) return since;
+
+  const duration = /^(\d+)\s*([smhdw])$/.exec(String(since).trim());
+  if (duration) {
+    const unit = { s: 1e3, m: 60e3, h: 3600e3, d: 86400e3, w: 604800e3 }[duration[2]];
+    return new Date(Date.now() - Number(duration[1]) * unit);
+  }
+
+  const date = new Date(since);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --since value '${since}' (use an ISO date or a duration like 30m, 24h, 7d)`);
+  }
+  return date;
+}
+
+export default AuditLog;
@@ -0,0 +1,558 @@
+/**
+ * ConfigLoader - Layered configuration for JLMA-CFES
+ *
+ * Resolves settings from four sources, later sources winning:
+ * 1. Built-in defaults (config/default.json)
+ * 2. Project config (.jlmarc.json or jlma.config.js in the project root)
+ * 3. JLMA_* environment variables (e.g. JLMA_STRICT_MODE=true)
+ * 4. Constructor options passed to createEnhancer()
+ *
+ * Files use the nested shape of config/default.json; constructor options and
+ * environment variables use the flat option names components already accept
+ * (strictMode, enabledHooks, ...). The schema below is the single mapping
+ * between the two. The merged result is validated before use.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { resolve, isAbsolute } from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+
+const DEFAULTS_PATH = fileURLToPath(new URL('../../config/default.json', import.meta.url));
+const PROJECT_CONFIG_FILES = ['.jlmarc.json', 'jlma.config.js', 'jlma.config.mjs'];
+const ROOT_KEY = 'jlma-cfes';
+const ENV_PREFIX = 'JLMA_';
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+const HOOK_TYPES = ['security', 'paths', 'performance', 'quality', 'prompt', 'completion'];
+const PROMPT_SECRET_POLICIES = ['redact', 'block', 'allow'];
+const PROMPT_INJECTION_POLICIES = ['warn', 'block', 'allow'];
+const SHELL_DECISIONS = ['allow', 'ask', 'deny'];
+const ON_ERROR_POLICIES = ['allow', 'deny', 'skip'];
+const MODES = ['enforce', 'shadow'];
+
+const bool = (option) => ({ type: 'boolean', option });
+const num = (option, min = 0, max = Infinity) => ({ type: 'number', option, min, max });
+const str = (option, values) => ({ type: 'string', option, enum: values });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const RULE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'category', 'pattern'],
+  properties: {
+    id: { type: 'string' },
+    category: { type: 'string', enum: ['security', 'performance', 'quality'] },
+    severity: { type: 'string', enum: SEVERITIES },
+    languages: { type: 'array', items: { type: 'string' } },
+    pattern: { type: 'string', regex: true },
+    flags: { type: 'string' },
+    message: { type: 'string' },
+    suggestion: { type: 'string' },
+    mode: { type: 'string', enum: MODES }
+  }
+};
+
+/**
+ * Config schema. Leaves with an `option` map to a flat constructor option.
+ */
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    version: { type: 'string' },
+    features: {
+      type: 'object',
+      properties: {
+        enableHooks: bool('enableHooks'),
+        enableValidation: bool('enableValidation'),
+        enableMonitoring: bool('enableMonitoring'),
+        claudeFlowIntegration: bool('claudeFlowIntegration'),
+        enableTruthScoring: bool('enableTruthScoring'),
+        enableSPARC: bool('enableSPARC'),
+        enableHookAutomation: bool('enableHookAutomation'),
+        enableNeuralTraining: bool('enableNeuralTraining')
+      }
+    },
+    performance: {
+      type: 'object',
+      properties: {
+        preToolUseThreshold: num('performanceThreshold'),
+        postToolUseThreshold: num('postToolUseThreshold'),
+        operationTimeout: num('operationTimeout'),
+        workers: num('workers'),
+        cacheSize: num('cacheSize'),
+        cacheDir: nullable(str('cacheDir'))
+      }
+    },
+    validation: {
+      type: 'object',
+      properties: {
+        enableSecurityChecks: bool('enableSecurityChecks'),
+        enablePerformanceChecks: bool('enablePerformanceChecks'),
+        enableQualityChecks: bool('enableQualityChecks'),
+        strictMode: bool('strictMode'),
+        engine: str('engine', ['auto', 'regex', 'ast']),
+        baseline: nullable(str('baseline')),
+        ignore: { type: 'array', option: 'ignorePatterns', items: { type: 'string' } },
+        failOn: str('failOn', SEVERITIES),
+        secrets: {
+          type: 'object',
+          properties: {
+            entropyThreshold: num('entropyThreshold', 0, 8),
+            allowlist: { type: 'array', option: 'secretAllowlist', items: { type: 'string' } }
+          }
+        },
+        rules: { type: 'array', items: RULE_SCHEMA },
+        shadowRules: { type: 'array', option: 'shadowRules', items: { type: 'string' } },
+        rulePacks: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    truthScoring: {
+      type: 'object',
+      properties: {
+        threshold: num('truthThreshold', 0, 1)
+      }
+    },
+    hooks: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'array', option: 'enabledHooks', items: { type: 'string', enum: HOOK_TYPES } },
+        validateFullFile: bool('validateFullFile'),
+        askOn: nullable(str('askOn', SEVERITIES)),
+        timeout: num('hookTimeout', 1),
+        onError: str('hookOnError', ON_ERROR_POLICIES),
+        shadow: { type: 'array', option: 'shadowHooks', items: { type: 'string', enum: HOOK_TYPES } },
+        priorities: {
+          type: 'object',
+          option: 'hookPriorities',
+          properties: {
+            security: { type: 'string', enum: SEVERITIES },
+            paths: { type: 'string', enum: SEVERITIES },
+            performance: { type: 'string', enum: SEVERITIES },
+            quality: { type: 'string', enum: SEVERITIES },
+            prompt: { type: 'string', enum: SEVERITIES },
+            completion: { type: 'string', enum: SEVERITIES }
+          }
+        },
+        shell: {
+          type: 'object',
+          option: 'shellPolicy',
+          properties: {
+            allow: { type: 'array', items: { type: 'string' } },
+            deny: { type: 'array', items: { type: 'string' } },
+            ask: { type: 'array', items: { type: 'string' } },
+            default: { type: 'string', enum: SHELL_DECISIONS },
+            builtinRules: { type: 'boolean' },
+            protectedBranches: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        paths: {
+          type: 'object',
+          option: 'pathPolicy',
+          properties: {
+            allow: { type: 'array', items: { type: 'string' } },
+            deny: { type: 'array', items: { type: 'string' } },
+            builtinRules: { type: 'boolean' }
+          }
+        },
+        prompt: {
+          type: 'object',
+          option: 'promptPolicy',
+          properties: {
+            secrets: { type: 'string', enum: PROMPT_SECRET_POLICIES },
+            injection: { type: 'string', enum: PROMPT_INJECTION_POLICIES },
+            includeRules: { type: 'boolean' },
+            contextFiles: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        completion: {
+          type: 'object',
+          option: 'completionPolicy',
+          properties: {
+            maxBlocks: { type: 'number', min: 1, max: Infinity },
+            subagents: { type: 'boolean' },
+            truthScore: { type: 'boolean' },
+            sparc: { type: 'boolean' }
+          }
+        },
+        audit: {
+          type: 'object',
+          option: 'auditLog',
+          properties: {
+            enabled: { type: 'boolean' },
+            path: { type: 'string' },
+            maxFileSize: { type: 'number', min: 1024, max: Infinity },
+            maxFiles: { type: 'number', min: 1, max: Infinity }
+          }
+        }
+      }
+    },
+    claudeFlow: {
+      type: 'object',
+      properties: {
+        claudeFlowPath: str('claudeFlowPath'),
+        claudeFlowPackage: str('claudeFlowPackage'),
+        timeout: num('timeout'),
+        maxRetries: num('maxRetries')
+      }
+    },
+    monitoring: {
+      type: 'object',
+      properties: {
+        sampleInterval: num('sampleInterval', 1),
+        historySize: num('historySize', 1),
+        alertThresholds: {
+          type: 'object',
+          properties: {
+            responseTime: num('responseTimeThreshold'),
+            memoryUsage: num('memoryThreshold'),
+            errorRate: num('errorRateThreshold', 0, 1)
+          }
+        }
+      }
+    }
+  }
+};
+
+// Flat option name -> { path, schema }
+const OPTION_PATHS = collectOptionPaths(CONFIG_SCHEMA, []);
+
+export class ConfigLoader {
+  /**
+   * @param {Object} options - Loader options
+   * @param {string} options.cwd - Project root to search for config files
+   * @param {Object} options.env - Environment (defaults to process.env)
+   * @param {string} options.configFile - Explicit project config path
+   * @param {string} options.defaultsPath - Override the built-in defaults file
+   * @param {boolean} options.discover - Read project files and JLMA_* env (default true)
+   */
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || process.env;
+    this.configFile = options.configFile || null;
+    this.defaultsPath = options.defaultsPath || DEFAULTS_PATH;
+    this.discover = options.discover !== false;
+  }
+
+  /**
+   * Load, merge and validate configuration
+   *
+   * @param {Object} overrides - Flat constructor options (highest precedence)
+   * @returns {Object} { config, options, rules, sources }
+   */
+  async load(overrides = {}) {
+    const sources = [];
+
+    const defaults = unwrap(JSON.parse(readFileSync(this.defaultsPath, 'utf-8')));
+    sources.push({ name: 'defaults', path: this.defaultsPath });
+
+    let config = deepMerge({}, defaults);
+
+    const project = this.discover || this.configFile ? await this._loadProjectConfig() : null;
+    if (project) {
+      config = deepMerge(config, project.config);
+      sources.push({ name: 'project', path: project.path });
+    }
+
+    const env = this.discover ? this._readEnv() : { keys: [] };
+    if (env.keys.length > 0) {
+      config = deepMerge(config, env.config);
+      sources.push({ name: 'env', keys: env.keys });
+    }
+
+    const fromOptions = optionsToConfig(overrides);
+    if (Object.keys(fromOptions).length > 0) {
+      config = deepMerge(config, fromOptions);
+      sources.push({ name: 'options' });
+    }
+
+    const errors = [];
+    validateValue(config, CONFIG_SCHEMA, '', errors);
+    if (errors.length > 0) {
+      throw new Error(
+        `Invalid jlma-cfes configuration:\n${errors.map(e => `  - ${e}`).join('\n')}\n` +
+        `Sources: ${sources.map(s => s.path || s.name).join(' -> ')}`
+      );
+    }
+
+    const rules = [
+      ...(config.validation?.rules || []).map(compileRule),
+      ...await this._loadRulePacks(config.validation?.rulePacks || [], project?.path)
+    ];
+
+    return {
+      config,
+      options: { ...overrides, ...configToOptions(config) },
+      rules,
+      sources
+    };
+  }
+
+  /**
+   * Find and load the project config file, if any
+   */
+  async _loadProjectConfig() {
+    const candidates = this.configFile
+      ? [this.configFile]
+      : PROJECT_CONFIG_FILES;
+
+    for (const candidate of candidates) {
+      const path = isAbsolute(candidate) ? candidate : resolve(this.cwd, candidate);
+      if (!existsSync(path)) {
+        if (this.configFile) throw new Error(`Config file not found: ${path}`);
+        continue;
+      }
+
+      let raw;
+      try {
+        if (path.endsWith('.json')) {
+          raw = JSON.parse(readFileSync(path, 'utf-8'));
+        } else {
+          const mod = await import(pathToFileURL(path).href);
+          raw = typeof mod.default === 'function' ? await mod.default() : mod.default;
+        }
+      } catch (error) {
+        throw new Error(`Failed to load config file ${path}: ${error.message}`);
+      }
+
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`Config file ${path} must export an object`);
+      }
+
+      return { path, config: unwrap(raw) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Map JLMA_* variables onto config paths
+   * JLMA_STRICT_MODE -> strictMode -> validation.strictMode
+   */
+  _readEnv() {
+    const config = {};
+    const keys = [];
+
+    for (const [option, { path, schema }] of OPTION_PATHS) {
+      if (schema.type === 'object') continue;
+
+      const name = ENV_PREFIX + option.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+      const raw = this.env[name];
+      if (raw === undefined || raw === '') continue;
+
+      setPath(config, path, coerceEnv(raw, schema));
+      keys.push(name);
+    }
+
+    return { config, keys };
+  }
+
+  /**
+   * Load rule pack modules (default export: array of rule definitions)
+   */
+  async _loadRulePacks(packs, projectConfigPath) {
+    const rules = [];
+
+    for (const pack of packs) {
+      const isPath = pack.startsWith('.') || isAbsolute(pack);
+      const specifier = isPath ? pathToFileURL(resolve(this.cwd, pack)).href : pack;
+
+      let mod;
+      try {
+        mod = await import(specifier);
+      } catch (error) {
+        const from = projectConfigPath ? ` (referenced from ${projectConfigPath})` : '';
+        throw new Error(`Failed to load rule pack '${pack}'${from}: ${error.message}`);
+      }
+
+      const packRules = mod.default || mod.rules;
+      if (!Array.isArray(packRules)) {
+        throw new Error(`Rule pack '${pack}' must export an array of rules`);
+      }
+      rules.push(...packRules.map(rule => (rule.pattern ? compileRule(rule) : rule)));
+    }
+
+    return rules;
+  }
+}
+
+/**
+ * Convenience wrapper: new ConfigLoader(options).load(overrides)
+ */
+export async function loadConfig(overrides = {}, options = {}) {
+  return new ConfigLoader(options).load(overrides);
+}
+
+/**
+ * Accept both { "jlma-cfes": {...} } and the bare section object
+ */
+function unwrap(raw) {
+  return raw && typeof raw[ROOT_KEY] === 'object' ? raw[ROOT_KEY] : raw;
+}
+
+/**
+ * Turn a JSON rule definition into a registerRule() definition
+ */
+function compileRule(rule) {
+  const { pattern, flags, ...rest } = rule;
+  try {
+    return { ...rest, regex: new RegExp(pattern, flags || '') };
+  } catch (error) {
+    throw new Error(`Invalid jlma-cfes configuration: rule '${rule.id}': ${error.message}`);
+  }
+}
+
+function collectOptionPaths(schema, path, out = new Map()) {
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    const childPath = [...path, key];
+    if (child.option) {
+      out.set(child.option, { path: childPath, schema: child });
+    } else if (child.type === 'object') {
+      collectOptionPaths(child, childPath, out);
+    }
+  }
+  return out;
+}
+
+function optionsToConfig(options) {
+  const config = {};
+  for (const [option, { path }] of OPTION_PATHS) {
+    if (options[option] !== undefined) setPath(config, path, options[option]);
+  }
+  return config;
+}
+
+function configToOptions(config) {
+  const options = {};
+  for (const [option, { path }] of OPTION_PATHS) {
+    const value = getPath(config, path);
+    if (value !== undefined) options[option] = value;
+  }
+  return options;
+}
+
+function getPath(obj, path) {
+  return path.reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+function setPath(obj, path, value) {
+  let node = obj;
+  for (const key of path.slice(0, -1)) {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  }
+  node[path[path.length - 1]] = value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof RegExp);
+}
+
+/**
+ * Merge objects recursively; arrays and scalars replace
+ */
+function deepMerge(target, source) {
+  const out = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key])
+      ? deepMerge(out[key], value)
+      : value;
+  }
+  return out;
+}
+
+/**
+ * Coerce an environment string to the schema type.
+ * Values that cannot be coerced are left as strings so validation reports them.
+ */
+function coerceEnv(raw, schema) {
+  const value = raw.trim();
+
+  switch (schema.type) {
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(value)) return true;
+      if (/^(false|0|no|off)$/i.test(value)) return false;
+      return value;
+    case 'number':
+      return value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case 'array':
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+function describe(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value === 'string' ? `string "${value}"` : typeof value;
+}
+
+/**
+ * Validate a value against a schema node, collecting readable errors
+ */
+function validateValue(value, schema, path, errors) {
+  const at = path || '(root)';
+  if (value === null && schema.nullable) return;
+
+  switch (schema.type) {
+    case 'object': {
+      if (!isPlainObject(value)) {
+        errors.push(`${at}: expected object, got ${describe(value)}`);
+        return;
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push(`${at}: missing required key '${key}'`);
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childSchema = schema.properties?.[key];
+        const childPath = path ? `${path}.${key}` : key;
+        if (!childSchema) {
+          const known = Object.keys(schema.properties || {}).join(', ');
+          errors.push(`${childPath}: unknown key (expected one of: ${known})`);
+          continue;
+        }
+        validateValue(child, childSchema, childPath, errors);
+      }
+      return;
+    }
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${at}: expected array, got ${describe(value)}`);
+        return;
+      }
+      value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+      return;
+
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        errors.push(`${at}: expected number, got ${describe(value)}`);
+      } else if (value < schema.min || value > schema.max) {
+        const range = schema.max === Infinity ? `>= ${schema.min}` : `between ${schema.min} and ${schema.max}`;
+        errors.push(`${at}: must be ${range}, got ${value}`);
+      }
+      return;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${at}: expected boolean, got ${describe(value)}`);
+      }
+      return;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${at}: expected string, got ${describe(value)}`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.join(', ')}, got "${value}"`);
+      } else if (schema.regex) {
+        try {
+          new RegExp(value);
+        } catch (error) {
+          errors.push(`${at}: invalid regular expression (${error.message})`);
+        }
+      }
+      return;
+  }
+}
+
+export default ConfigLoader;
@@ -0,0 +1,267 @@
+/**
+ * FileScanner - Expand CLI targets into the files to validate
+ *
+ * Targets may be files, directories or glob patterns ("lib/**\/*.ts").
+ * - Explicit files are always included
+ * - Directories and globs pick up files in supported languages and
+ *   common config formats, skipping anything matched by `.gitignore`
+ *   files (root and nested) or the configured ignore list
+ * - Ignore patterns use .gitignore syntax (`dist/`, `*.min.js`, `!keep.js`)
+ */
+
+import { readdirSync, readFileSync, statSync, existsSync } from 'fs';
+import { join, relative, resolve, sep, dirname, isAbsolute } from 'path';
+import { detectLanguage } from '../validators/languages.js';
+
+export const DEFAULT_IGNORE = ['node_modules/', '.git/', 'coverage/'];
+
+// Scanned in addition to source languages (secrets often live here)
+const CONFIG_EXTENSIONS = ['json', 'yaml', 'yml', 'toml', 'ini', 'env', 'html', 'vue', 'svelte'];
+
+const MAX_FILE_SIZE = 1024 * 1024;
+const GLOB_CHARS = /[*?[{]/;
+
+export class FileScanner {
+  /**
+   * @param {Object} options - Scanner options
+   * @param {string} options.cwd - Directory relative targets resolve against
+   * @param {Array} options.ignore - Extra .gitignore-style patterns
+   * @param {boolean} options.gitignore - Honor .gitignore files (default true)
+   * @param {number} options.maxFileSize - Skip larger files in walks (bytes)
+   */
+  constructor(options = {}) {
+    this.cwd = resolve(options.cwd || process.cwd());
+    this.useGitignore = options.gitignore !== false;
+    this.maxFileSize = options.maxFileSize || MAX_FILE_SIZE;
+
+    this.baseRules = compileIgnore([...DEFAULT_IGNORE, ...(options.ignore || [])], this.cwd);
+
+    // directory -> rules from its .gitignore
+    this._gitignoreCache = new Map();
+  }
+
+  /**
+   * Expand targets into a sorted list of absolute file paths
+   *
+   * @param {Array} targets - Files, directories or glob patterns
+   * @returns {Object} { files, missing, skipped }
+   */
+  scan(targets) {
+    const files = new Set();
+    const missing = [];
+    const skipped = [];
+
+    for (const target of targets) {
+      if (GLOB_CHARS.test(target) && !existsSync(resolve(this.cwd, target))) {
+        const matched = this._scanGlob(target, files, skipped);
+        if (matched === 0) missing.push(target);
+        continue;
+      }
+
+      const fullPath = resolve(this.cwd, target);
+      let stats;
+      try {
+        stats = statSync(fullPath);
+      } catch {
+        missing.push(target);
+        continue;
+      }
+
+      if (stats.isDirectory()) {
+        this._walk(fullPath, this._rulesFor(fullPath), files, skipped, () => true);
+      } else {
+        files.add(fullPath);
+      }
+    }
+
+    return { files: Array.from(files).sort(), missing, skipped };
+  }
+
+  /**
+   * Walk the static prefix of a glob and keep matching files
+   */
+  _scanGlob(pattern, files, skipped) {
+    const normalized = pattern.split(sep).join('/');
+    const segments = normalized.split('/');
+    const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+
+    const base = resolve(this.cwd, segments.slice(0, firstGlob).join('/') || '.');
+    const regex = globToRegExp(segments.slice(firstGlob).join('/'));
+
+    if (!existsSync(base) || !statSync(base).isDirectory()) return 0;
+
+    const before = files.size;
+    this._walk(base, this._rulesFor(base), files, skipped, (path) =>
+      regex.test(relative(base, path).split(sep).join('/')));
+    return files.size - before;
+  }
+
+  _walk(dir, rules, files, skipped, accept) {
+    const dirRules = this.useGitignore ? [...rules, ...this._gitignore(dir)] : rules;
+
+    let entries;
+    try {
+      entries = readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      const path = join(dir, entry.name);
+      const isDir = entry.isDirectory();
+
+      if (isIgnored(dirRules, path, isDir)) continue;
+
+      if (isDir) {
+        this._walk(path, dirRules, files, skipped, accept);
+      } else if (entry.isFile() && isScannable(entry.name) && accept(path)) {
+        if (statSync(path).size > this.maxFileSize) {
+          skipped.push({ file: path, reason: 'too large' });
+        } else {
+          files.add(path);
+        }
+      }
+    }
+  }
+
+  /**
+   * Ignore rules that apply inside a directory: base rules plus the
+   * .gitignore files of its ancestors up to cwd
+   */
+  _rulesFor(dir) {
+    const rules = [...this.baseRules];
+    if (!this.useGitignore) return rules;
+
+    const rel = relative(this.cwd, dir);
+    if (rel.startsWith('..') || isAbsolute(rel)) return rules;
+
+    const ancestors = [];
+    for (let current = dir; current !== this.cwd;) {
+      current = dirname(current);
+      ancestors.unshift(current);
+    }
+    for (const ancestor of ancestors) {
+      rules.push(...this._gitignore(ancestor));
+    }
+
+    return rules;
+  }
+
+  _gitignore(dir) {
+    if (!this._gitignoreCache.has(dir)) {
+      const path = join(dir, '.gitignore');
+      const patterns = existsSync(path) ? readFileSync(path, 'utf-8').split(/\r?\n/) : [];
+      this._gitignoreCache.set(dir, compileIgnore(patterns, dir));
+    }
+    return this._gitignoreCache.get(dir);
+  }
+}
+
+/**
+ * Compile .gitignore-style patterns relative to a base directory
+ */
+export function compileIgnore(patterns, baseDir) {
+  const rules = [];
+
+  for (const raw of patterns) {
+    let pattern = raw.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) continue;
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.slice(0, -1);
+
+    // A slash anywhere but the end anchors the pattern to the base directory
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+
+    const body = globToRegExp(pattern).source.slice(1, -1);
+    rules.push({
+      baseDir,
+      negate,
+      dirOnly,
+      regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`)
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Convert a glob to an anchored regular expression
+ * Supports **, *, ?, [abc], [!abc] and {a,b}.
+ */
+export function globToRegExp(glob) {
+  let out = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentEnd = glob[i + 2] === '/';
+        out += atSegmentEnd ? '(?:.*/)?' : '.*';
+        i += atSegmentEnd ? 2 : 1;
+      } else {
+        out += '[^/]*';
+      }
+    } else if (char === '?') {
+      out += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        out += '\\[';
+      } else {
+        const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        out += `[${body}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      out += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      out += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      out += '|';
+    } else if (char === '\\' && i + 1 < glob.length) {
+      out += escapeRegExp(glob[++i]);
+    } else {
+      out += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${out}$`);
+}
+
+/**
+ * Last matching rule wins; negated rules re-include
+ */
+function isIgnored(rules, path, isDir) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) continue;
+    const rel = relative(rule.baseDir, path).split(sep).join('/');
+    if (rel.startsWith('..')) continue;
+    if (rule.regex.test(rel)) ignored = !rule.negate;
+  }
+
+  return ignored;
+}
+
+function isScannable(name) {
+  if (detectLanguage(name)) return true;
+  if (name === '.env' || name.startsWith('.env.')) return true;
+  const ext = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+  return CONFIG_EXTENSIONS.includes(ext);
+}
+
+function escapeRegExp(char) {
+  return /[.+^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+export default FileScanner;
@@ -0,0 +1,411 @@
+/**
+ * ValidationPool - Parallel file validation on worker threads
+ *
+ * Spreads project-wide validation across `worker_threads`:
+ * - Each worker owns a PatternValidator built from the same options and
+ *   rules, and runs the same validateFile() as the single-threaded path
+ * - Bounded queue: validate() rejects when full; validateAll() keeps one
+ *   file per worker in flight, so any number of files queues at most
+ *   `size` and leaves the rest of the queue to other callers
+ * - Per-file timeouts and cancellation terminate the busy worker and
+ *   start a fresh one
+ * - Every file is reported to a PerformanceMonitor as a
+ *   'pool_validation' operation, so throughput shows up in its metrics
+ *
+ * Functions cannot cross threads: custom rules are sent as regex
+ * source/flags. Visitor rules must come from rule packs, which workers
+ * load themselves via the `config` option.
+ */
+
+import { EventEmitter } from 'events';
+import { Worker } from 'worker_threads';
+import { readFile } from 'fs/promises';
+import { availableParallelism, cpus } from 'os';
+import { detectLanguage } from '../validators/languages.js';
+
+const WORKER_URL = new URL('./validationWorker.js', import.meta.url);
+
+/**
+ * Validate one file - shared by workers and single-threaded callers
+ *
+ * @param {Object} validator - PatternValidator or enhancer (validatePre/validatePost)
+ * @param {string} file - Absolute file path
+ * @param {string} code - File contents (read from disk if omitted)
+ * @returns {Object} { file, language, pre, post }
+ */
+export async function validateFile(validator, file, code = null) {
+  const source = code ?? await readFile(file, 'utf-8');
+  const context = { file, language: detectLanguage(file) };
+
+  const pre = await validator.validatePre(source, context);
+  const post = await validator.validatePost({ code: source }, context);
+
+  return { file, language: context.language, pre, post };
+}
+
+export class ValidationPool extends EventEmitter {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Worker count (default: CPU cores - 1)
+   * @param {number} options.maxQueue - Files waiting for a worker (default 1000)
+   * @param {number} options.timeout - Per-file timeout in ms (default 30000)
+   * @param {Object} options.validator - PatternValidator options (serializable)
+   * @param {Array} options.rules - Regex custom rules to register in every worker
+   * @param {Object} options.config - Resolve config in each worker:
+   *   { cwd, env, configFile, overrides } as for ConfigLoader
+   * @param {PerformanceMonitor} options.monitor - Receives one operation per file
+   */
+  constructor(options = {}) {
+    super();
+
+    const cores = typeof availableParallelism === 'function' ? availableParallelism() : cpus().length;
+
+    this.options = {
+      size: options.size || Math.max(1, cores - 1),
+      maxQueue: options.maxQueue || 1000,
+      timeout: options.timeout || 30000,
+      ...options
+    };
+
+    this.monitor = options.monitor || null;
+
+    this._workerData = {
+      validator: serializeValidatorOptions(options.validator || {}),
+      rules: (options.rules || []).map(serializeRule),
+      config: options.config || null
+    };
+
+    this.workers = [];
+    this.queue = [];
+    this._nextId = 0;
+    this._closed = false;
+    this._initError = null;
+
+    this.metrics = {
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      cancelled: 0,
+      workersRestarted: 0,
+      totalTime: 0,
+      startTime: null
+    };
+
+    for (let i = 0; i < this.options.size; i++) {
+      this._spawn();
+    }
+  }
+
+  /**
+   * Validate one file on a worker
+   *
+   * @param {string} file - Absolute file path
+   * @param {Object} options - { code, signal } - contents and an AbortSignal
+   * @returns {Promise<Object>} { file, language, pre, post }
+   */
+  validate(file, options = {}) {
+    if (this._closed) {
+      return Promise.reject(new Error('ValidationPool is closed'));
+    }
+    if (this._initError) {
+      return Promise.reject(this._initError);
+    }
+    if (this.queue.length >= this.options.maxQueue) {
+      return Promise.reject(new Error(`Validation queue is full (${this.options.maxQueue} files)`));
+    }
+    if (options.signal?.aborted) {
+      this.metrics.cancelled++;
+      return Promise.reject(cancelledError(file));
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: ++this._nextId,
+        file,
+        code: options.code ?? null,
+        signal: options.signal || null,
+        resolve,
+        reject,
+        worker: null,
+        timer: null,
+        endOperation: null
+      };
+
+      if (task.signal) {
+        task.onAbort = () => this._cancelTask(task);
+        task.signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+
+      this.metrics.startTime ??= performance.now();
+      this.queue.push(task);
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Validate many files, one in flight per worker
+   * Per-file failures are returned as { file, error } instead of rejecting.
+   *
+   * @param {Array} files - Absolute file paths
+   * @param {Object} options - { signal, onResult(result, index) }
+   * @returns {Promise<Array>} Results in input order
+   */
+  async validateAll(files, options = {}) {
+    const results = new Array(files.length);
+    let next = 0;
+
+    const runNext = async () => {
+      while (next < files.length) {
+        const index = next++;
+        const file = files[index];
+
+        try {
+          results[index] = await this.validate(file, { signal: options.signal });
+        } catch (error) {
+          results[index] = { file, error: error.message, cancelled: Boolean(error.cancelled) };
+        }
+
+        if (options.onResult) options.onResult(results[index], index);
+      }
+    };
+
+    const runners = Array.from({ length: Math.min(this.options.size, files.length) }, runNext);
+    await Promise.all(runners);
+
+    return results;
+  }
+
+  /**
+   * Cancel every queued and running file
+   */
+  cancel() {
+    for (const task of [...this.queue]) this._cancelTask(task);
+    for (const worker of this.workers) {
+      if (worker.task) this._cancelTask(worker.task);
+    }
+  }
+
+  /**
+   * Cancel outstanding work and stop all workers
+   */
+  async close() {
+    this._closed = true;
+    this.cancel();
+    await Promise.all(this.workers.map(worker => worker.thread.terminate()));
+    this.workers = [];
+  }
+
+  /**
+   * Pool throughput and state
+   */
+  getMetrics() {
+    const elapsed = this.metrics.startTime === null ? 0 : performance.now() - this.metrics.startTime;
+    const processed = this.metrics.completed + this.metrics.failed;
+
+    return {
+      workers: this.workers.length,
+      busyWorkers: this.workers.filter(w => w.task).length,
+      queued: this.queue.length,
+      completed: this.metrics.completed,
+      failed: this.metrics.failed,
+      timedOut: this.metrics.timedOut,
+      cancelled: this.metrics.cancelled,
+      workersRestarted: this.metrics.workersRestarted,
+      averageFileTime: processed > 0
+        ? `${(this.metrics.totalTime / processed).toFixed(3)}ms`
+        : '0.000ms',
+      throughput: elapsed > 0
+        ? `${(processed / (elapsed / 1000)).toFixed(2)} files/sec`
+        : '0.00 files/sec'
+    };
+  }
+
+  /**
+   * Start a worker; it reports `ready` once its validator is built
+   */
+  _spawn() {
+    const worker = {
+      thread: new Worker(WORKER_URL, { workerData: this._workerData }),
+      ready: false,
+      task: null
+    };
+
+    worker.thread.on('message', (message) => this._onMessage(worker, message));
+    worker.thread.on('error', (error) => this._onWorkerError(worker, error));
+    worker.thread.on('exit', () => {
+      this.workers = this.workers.filter(w => w !== worker);
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  _onMessage(worker, message) {
+    switch (message.type) {
+      case 'ready':
+        worker.ready = true;
+        this._dispatch();
+        break;
+
+      case 'init_error':
+        this._failAll(new Error(`Validation worker failed to start: ${message.error}`));
+        break;
+
+      case 'result':
+      case 'failed': {
+        const task = worker.task;
+        if (!task || task.id !== message.id) return;
+
+        this._finish(worker, task);
+        if (message.type === 'result') {
+          this.metrics.completed++;
+          task.endOperation?.(true, { file: task.file });
+          task.resolve(message.result);
+        } else {
+          this.metrics.failed++;
+          task.endOperation?.(false, { file: task.file, error: message.error });
+          task.reject(new Error(`Failed to validate ${task.file}: ${message.error}`));
+        }
+        this._dispatch();
+        break;
+      }
+    }
+  }
+
+  _onWorkerError(worker, error) {
+    const task = worker.task;
+    this.workers = this.workers.filter(w => w !== worker);
+
+    if (task) {
+      this._finish(worker, task);
+      this.metrics.failed++;
+      task.endOperation?.(false, { file: task.file, error: error.message });
+      task.reject(new Error(`Failed to validate ${task.file}: ${error.message}`));
+    }
+
+    if (!worker.ready && !this._initError) {
+      this._failAll(new Error(`Validation worker failed to start: ${error.message}`));
+      return;
+    }
+
+    this._replace(worker);
+  }
+
+  /**
+   * Hand queued files to idle, ready workers
+   */
+  _dispatch() {
+    for (const worker of this.workers) {
+      if (this.queue.length === 0) return;
+      if (!worker.ready || worker.task) continue;
+
+      const task = this.queue.shift();
+      task.worker = worker;
+      task.startTime = performance.now();
+      worker.task = task;
+
+      if (this.monitor) {
+        task.endOperation = this.monitor.startOperation(`pool-${task.id}`, 'pool_validation');
+      }
+
+      task.timer = setTimeout(() => this._timeoutTask(task), this.options.timeout);
+      worker.thread.postMessage({ id: task.id, file: task.file, code: task.code });
+    }
+  }
+
+  _timeoutTask(task) {
+    const worker = task.worker;
+    if (!worker || worker.task !== task) return;
+
+    this._finish(worker, task);
+    this.metrics.timedOut++;
+    this.metrics.failed++;
+    task.endOperation?.(false, { file: task.file, error: 'timeout' });
+    task.reject(new Error(`Validation of ${task.file} timed out after ${this.options.timeout}ms`));
+
+    this._replace(worker);
+    this.emit('timeout', { file: task.file, timeout: this.options.timeout });
+  }
+
+  _cancelTask(task) {
+    const queued = this.queue.indexOf(task);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+    } else if (task.worker?.task === task) {
+      // The only way to stop synchronous work is to stop the thread
+      const worker = task.worker;
+      this._finish(worker, task);
+      task.endOperation?.(false, { file: task.file, error: 'cancelled' });
+      this._replace(worker);
+    } else {
+      return;
+    }
+
+    this.metrics.cancelled++;
+    task.signal?.removeEventListener('abort', task.onAbort);
+    task.reject(cancelledError(task.file));
+  }
+
+  _finish(worker, task) {
+    clearTimeout(task.timer);
+    task.signal?.removeEventListener('abort', task.onAbort);
+    this.metrics.totalTime += performance.now() - task.startTime;
+    worker.task = null;
+  }
+
+  /**
+   * Terminate a worker and start a replacement (unless closing)
+   */
+  _replace(worker) {
+    this.workers = this.workers.filter(w => w !== worker);
+    worker.thread.removeAllListeners('message');
+    worker.thread.terminate();
+
+    if (!this._closed) {
+      this.metrics.workersRestarted++;
+      this._spawn();
+    }
+  }
+
+  _failAll(error) {
+    this._initError = error;
+    for (const task of this.queue.splice(0)) {
+      task.signal?.removeEventListener('abort', task.onAbort);
+      task.reject(error);
+    }
+    this.emit('initError', error);
+  }
+}
+
+/**
+ * Regex rules travel as source/flags; visitor rules cannot cross threads
+ */
+function serializeRule(rule) {
+  if (rule.visitor || rule.astRule) {
+    throw new Error(
+      `Rule '${rule.id}' uses an AST visitor and cannot be sent to worker threads; load it from a rule pack instead`
+    );
+  }
+  if (!(rule.regex instanceof RegExp)) {
+    throw new Error(`Rule '${rule.id}' must define a regex`);
+  }
+
+  const { regex, ...rest } = rule;
+  return { ...rest, regex: { source: regex.source, flags: regex.flags } };
+}
+
+function serializeValidatorOptions(options) {
+  const { baseline, ...rest } = options;
+  if (baseline && typeof baseline === 'object') {
+    return { ...rest, baseline: { data: baseline.toJSON(), root: baseline.root } };
+  }
+  return options;
+}
+
+function cancelledError(file) {
+  const error = new Error(`Validation of ${file} was cancelled`);
+  error.cancelled = true;
+  return error;
+}
+
+export default ValidationPool;
@@ -0,0 +1,65 @@
+/**
+ * validationWorker - Worker thread entry point for ValidationPool
+ *
+ * Builds one PatternValidator from workerData, then validates files on
+ * request. Messages in: { id, file, code }. Messages out: { type: 'ready' },
+ * { type: 'init_error', error }, { type: 'result', id, result } and
+ * { type: 'failed', id, error }.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { resolve } from 'path';
+import { PatternValidator } from '../validators/PatternValidator.js';
+import { Baseline } from '../validators/Baseline.js';
+import { ConfigLoader } from './ConfigLoader.js';
+import { validateFile } from './ValidationPool.js';
+
+async function createValidator({ validator: validatorOptions, rules, config }) {
+  let options = {};
+  const configRules = [];
+
+  if (config) {
+    const { overrides, ...loaderOptions } = config;
+    const resolved = await new ConfigLoader(loaderOptions).load(overrides || {});
+    options = resolved.options;
+    configRules.push(...resolved.rules);
+
+    for (const key of ['baseline', 'cacheDir']) {
+      if (typeof options[key] === 'string') {
+        options[key] = resolve(loaderOptions.cwd || process.cwd(), options[key]);
+      }
+    }
+  }
+
+  options = { ...options, ...validatorOptions };
+  if (options.baseline && typeof options.baseline === 'object') {
+    options.baseline = new Baseline(options.baseline.data, { root: options.baseline.root });
+  }
+
+  const validator = new PatternValidator(options);
+  for (const rule of configRules) {
+    validator.registerRule(rule);
+  }
+  for (const rule of rules) {
+    validator.registerRule({ ...rule, regex: new RegExp(rule.regex.source, rule.regex.flags) });
+  }
+
+  return validator;
+}
+
+try {
+  const validator = await createValidator(workerData);
+
+  parentPort.on('message', async ({ id, file, code }) => {
+    try {
+      const result = await validateFile(validator, file, code);
+      parentPort.postMessage({ type: 'result', id, result });
+    } catch (error) {
+      parentPort.postMessage({ type: 'failed', id, error: error.message });
+    }
+  });
+
+  parentPort.postMessage({ type: 'ready' });
+} catch (error) {
+  parentPort.postMessage({ type: 'init_error', error: error.message });
+}
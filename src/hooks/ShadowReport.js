@@ -0,0 +1,110 @@
+/**
+ * ShadowReport - What shadow-mode hooks and rules would have decided
+ *
+ * Fed one entry per tool call, prompt or stop (a ValidationHooks result or an audit log
+ * record), it counts per shadow hook or rule how often it fired, how often
+ * the enforced hooks blocked the same call anyway, and how often it would
+ * have added a block of its own. Those added blocks are the ones to review
+ * for false positives before switching the hook or rule to `enforce`.
+ */
+
+// Calls kept per entry as examples of added blocks
+const MAX_SAMPLES = 5;
+
+export class ShadowReport {
+  constructor() {
+    this.calls = { preToolUse: 0, postToolUse: 0, userPromptSubmit: 0, stop: 0, subagentStop: 0 };
+    this.entries = new Map();
+  }
+
+  /**
+   * Build a report from audit log records
+   *
+   * @param {Array} records - AuditLog records
+   */
+  static fromRecords(records) {
+    const report = new ShadowReport();
+    for (const record of records) report.add(record);
+    return report;
+  }
+
+  /**
+   * Count one tool call, prompt or stop
+   *
+   * @param {Object} call - { phase, tool, file, decision, shadow[], timestamp }
+   *   `decision` is the enforced one: allow, ask, deny (pre) or block (other phases)
+   */
+  add(call) {
+    if (!(call.phase in this.calls)) return;
+    this.calls[call.phase]++;
+
+    const enforcedBlocked = call.decision !== 'allow';
+    const fired = new Map();
+
+    for (const shadow of call.shadow || []) {
+      const key = `${call.phase}:${shadow.hookId}:${shadow.rule || ''}`;
+      const entry = this._entry(key, call.phase, shadow);
+      entry.findings++;
+
+      if (shadow.decision !== 'allow' && !fired.has(key)) fired.set(key, shadow);
+    }
+
+    // Counted once per call, however many findings the rule had
+    for (const [key, shadow] of fired) {
+      const entry = this.entries.get(key);
+      entry.fired++;
+      entry.decisions[shadow.decision] = (entry.decisions[shadow.decision] || 0) + 1;
+
+      if (enforcedBlocked) {
+        entry.agreed++;
+      } else {
+        entry.added++;
+        if (entry.samples.length < MAX_SAMPLES) {
+          entry.samples.push({
+            timestamp: call.timestamp || new Date().toISOString(),
+            tool: call.tool,
+            file: call.file || null,
+            reason: shadow.reason || null
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Per hook/rule summary, most added blocks first
+   *
+   * @returns {Object} { calls, entries[] } - addedRate is added blocks per call of the phase
+   */
+  summary() {
+    const entries = [...this.entries.values()]
+      .map(entry => ({
+        ...entry,
+        decisions: { ...entry.decisions },
+        samples: [...entry.samples],
+        addedRate: this.calls[entry.phase] > 0 ? entry.added / this.calls[entry.phase] : 0
+      }))
+      .sort((a, b) => b.added - a.added || b.fired - a.fired);
+
+    return { calls: { ...this.calls }, entries };
+  }
+
+  _entry(key, phase, shadow) {
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        phase,
+        hookId: shadow.hookId,
+        rule: shadow.rule || null,
+        findings: 0,
+        fired: 0,
+        agreed: 0,
+        added: 0,
+        decisions: {},
+        samples: []
+      });
+    }
+    return this.entries.get(key);
+  }
+}
+
+export default ShadowReport;
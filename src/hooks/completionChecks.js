@@ -0,0 +1,73 @@
+/**
+ * completionChecks - Stop / SubagentStop checks for ValidationHooks
+ *
+ * Each factory returns a handler for registerStop() or registerSubagentStop().
+ * The handler receives the stop context - { sessionId, cwd, changedFiles,
+ * stopHookActive, previousBlocks } - and blocks the stop with a reason that
+ * tells the agent what is still missing.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { detectLanguage } from '../validators/languages.js';
+
+/**
+ * Every source file changed this session must reach the truth score threshold
+ *
+ * @param {TruthScoring} truthScoring - Scorer
+ * @param {Object} options - { threshold } (default: the scorer's own)
+ * @returns {Function} Stop hook handler
+ */
+export function truthScoreCheck(truthScoring, options = {}) {
+  return async (context) => {
+    const failing = [];
+
+    for (const file of context.changedFiles || []) {
+      const fullPath = resolve(context.cwd || process.cwd(), file);
+      // Deleted files and non-source files (docs, config) are not scored
+      if (!detectLanguage(fullPath) || !existsSync(fullPath)) continue;
+
+      const result = await truthScoring.verify(readFileSync(fullPath, 'utf-8'), {
+        threshold: options.threshold,
+        context: { file }
+      });
+      if (!result.verified) {
+        const finding = [...(result.violations || []), ...(result.issues || [])][0];
+        failing.push(`${file} scores ${result.overallScore} (< ${result.threshold})${finding ? `: ${finding.message}` : ''}`);
+      }
+    }
+
+    if (failing.length === 0) return { decision: 'allow' };
+    return {
+      decision: 'block',
+      reason: `Truth score below threshold:\n${failing.map(line => `- ${line}`).join('\n')}`,
+      severity: 'HIGH',
+      suggestion: 'Fix the findings in these files before finishing'
+    };
+  };
+}
+
+/**
+ * An active SPARC workflow must have reached its completion phase
+ *
+ * @param {SPARCIntegration} sparc - Workflow tracker
+ * @returns {Function} Stop hook handler
+ */
+export function sparcCompletionCheck(sparc) {
+  return async () => {
+    const status = sparc.getWorkflowStatus();
+    // currentPhase is null once the completion phase has passed
+    if (!status.active || !status.currentPhase || status.currentPhase === 'completion') {
+      return { decision: 'allow' };
+    }
+
+    const phase = sparc.phases[status.currentPhase];
+    const remaining = Object.keys(sparc.phases).filter(name => !status.completedPhases.includes(name));
+    return {
+      decision: 'block',
+      reason: `SPARC workflow '${status.task}' is still in the ${phase.name} phase (${status.progress}); remaining: ${remaining.join(', ')}`,
+      severity: 'MEDIUM',
+      suggestion: `Produce and validate the ${phase.name} outputs: ${phase.requiredOutputs.join(', ')}`
+    };
+  };
+}
@@ -20,11 +20,17 @@
 import { EnhancementCore } from './core/EnhancementCore.js';
 import { ValidationHooks } from './hooks/ValidationHooks.js';
 import { ClaudeFlowAdapter } from './adapters/ClaudeFlowAdapter.js';
+import { ClaudeCodeHookAdapter } from './adapters/ClaudeCodeHookAdapter.js';
 import { PatternValidator } from './validators/PatternValidator.js';
 import { PerformanceMonitor } from './core/PerformanceMonitor.js';
 import { TruthScoring } from './validators/TruthScoring.js';
 import { SPARCIntegration } from './core/SPARCIntegration.js';
 import { HookAutomation } from './hooks/HookAutomation.js';
+import { ConfigLoader } from './core/ConfigLoader.js';
+import { Baseline } from './validators/Baseline.js';
+import { ValidationPool } from './core/ValidationPool.js';
+import { AuditLog } from './core/AuditLog.js';
+import { resolve as resolvePath } from 'path';
 
 /**
  * Main JLMA-CFES Enhancement System
@@ -33,6 +39,11 @@ import { HookAutomation } from './hooks/HookAutomation.js';
 class JLMACFES {
   constructor(options = {}) {
     this.version = '1.0.0';
+
+    // Raw constructor options - highest precedence when config is resolved
+    this._constructorOptions = options;
+    this.config = null;
+
     this.options = {
       enableHooks: options.enableHooks !== false,
       enableValidation: options.enableValidation !== false,
@@ -58,6 +69,10 @@ class JLMACFES {
     this._sparc = null;
     this._hookAutomation = null;
 
+    // Custom rules - reapplied to every validator on initialize()
+    this._customRules = new Map();
+    this._configRules = new Set();
+
     // Metrics tracking
     this.metrics = {
       validationsRun: 0,
@@ -70,30 +85,48 @@ class JLMACFES {
   /**
    * Initialize the enhancement system
    * Call this before using any features
+   *
+   * Resolves configuration (defaults -> project file -> JLMA_* env ->
+   * constructor options) before creating any component.
+   *
+   * @returns {Object} Init result including the resolved `config`
    */
   async initialize() {
     const initStart = performance.now();
 
     try {
+      const { cwd, env, configFile, loadConfig, ...overrides } = this._constructorOptions;
+      const resolved = await new ConfigLoader({
+        cwd,
+        env,
+        configFile,
+        discover: loadConfig !== false
+      }).load(overrides);
+
+      this.config = resolved.config;
+      this.options = { ...this.options, ...resolved.options };
+      if (typeof this.options.baseline === 'string') {
+        this.options.baseline = resolvePath(cwd || process.cwd(), this.options.baseline);
+      }
+      if (typeof this.options.cacheDir === 'string') {
+        this.options.cacheDir = resolvePath(cwd || process.cwd(), this.options.cacheDir);
+      }
+      if (typeof this.options.auditLog?.path === 'string') {
+        this.options.auditLog = {
+          ...this.options.auditLog,
+          path: resolvePath(cwd || process.cwd(), this.options.auditLog.path)
+        };
+      }
+      for (const rule of resolved.rules) {
+        this._customRules.set(rule.id, rule);
+        this._configRules.add(rule);
+      }
+
       // Initialize core components
       this._core = new EnhancementCore(this.options);
       this._validator = new PatternValidator(this.options);
       this._monitor = new PerformanceMonitor(this.options);
 
-      // Initialize hooks if enabled
-      if (this.options.enableHooks) {
-        this._hooks = new ValidationHooks({
-          performanceThreshold: this.options.performanceThreshold,
-          strictMode: this.options.strictMode
-        });
-      }
-
-      // Initialize claude-flow adapter if integration enabled
-      if (this.options.claudeFlowIntegration) {
-        this._adapter = new ClaudeFlowAdapter(this.options);
-        await this._adapter.connect();
-      }
-
       // Initialize Truth Scoring system
       if (this.options.enableTruthScoring) {
         this._truthScoring = new TruthScoring({
@@ -110,6 +143,47 @@ class JLMACFES {
         });
       }
 
+      // Initialize hooks if enabled (after the above: completion checks use them)
+      if (this.options.enableHooks) {
+        this._hooks = new ValidationHooks({
+          performanceThreshold: this.options.performanceThreshold,
+          postToolUseThreshold: this.options.postToolUseThreshold,
+          strictMode: this.options.strictMode,
+          enabledHooks: this.options.enabledHooks,
+          hookPriorities: this.options.hookPriorities,
+          shellPolicy: this.options.shellPolicy,
+          pathPolicy: { root: cwd || process.cwd(), ...this.options.pathPolicy },
+          validateFullFile: this.options.validateFullFile,
+          askOn: this.options.askOn,
+          hookTimeout: this.options.hookTimeout,
+          hookOnError: this.options.hookOnError,
+          shadowHooks: this.options.shadowHooks,
+          shadowRules: this.options.shadowRules,
+          validatorOptions: {
+            enableSecurityChecks: this.options.enableSecurityChecks,
+            enablePerformanceChecks: this.options.enablePerformanceChecks,
+            enableQualityChecks: this.options.enableQualityChecks,
+            engine: this.options.engine,
+            entropyThreshold: this.options.entropyThreshold,
+            secretAllowlist: this.options.secretAllowlist,
+            cacheSize: this.options.cacheSize,
+            cacheDir: this.options.cacheDir,
+            baseline: this.options.baseline
+          },
+          promptPolicy: this.options.promptPolicy,
+          completionPolicy: this.options.completionPolicy,
+          truthScoring: this._truthScoring,
+          sparc: this._sparc,
+          auditLog: this.options.auditLog
+        });
+      }
+
+      // Initialize claude-flow adapter if integration enabled
+      if (this.options.claudeFlowIntegration) {
+        this._adapter = new ClaudeFlowAdapter(this.options);
+        await this._adapter.connect();
+      }
+
       // Initialize Hook automation
       if (this.options.enableHookAutomation) {
         this._hookAutomation = new HookAutomation({
@@ -120,6 +194,12 @@ class JLMACFES {
         });
       }
 
+      for (const rule of this._customRules.values()) {
+        for (const validator of this._getRuleTargets()) {
+          validator.registerRule(rule);
+        }
+      }
+
       const initTime = performance.now() - initStart;
 
       return {
@@ -134,7 +214,9 @@ class JLMACFES {
           truthScoring: this.options.enableTruthScoring,
           sparc: this.options.enableSPARC,
           hookAutomation: this.options.enableHookAutomation
-        }
+        },
+        config: resolved.config,
+        configSources: resolved.sources.map(source => source.path || source.name)
       };
     } catch (error) {
       return {
@@ -233,6 +315,92 @@ class JLMACFES {
     });
   }
 
+  // ============================================
+  // Custom Rule API
+  // ============================================
+
+  /**
+   * Register a custom validation rule
+   * Applied to every validator (direct, hooks, truth scoring)
+   *
+   * @param {Object} rule - Rule definition (see PatternValidator.registerRule)
+   * @returns {JLMACFES} this
+   */
+  registerRule(rule) {
+    if (!this._validator) {
+      throw new Error('JLMA-CFES not initialized - call initialize() first');
+    }
+
+    for (const validator of this._getRuleTargets()) {
+      validator.registerRule(rule);
+    }
+    this._customRules.set(rule.id, rule);
+    return this;
+  }
+
+  /**
+   * Remove a custom validation rule
+   *
+   * @param {string} id - Rule identifier
+   * @returns {boolean} True if the rule was registered
+   */
+  unregisterRule(id) {
+    for (const validator of this._getRuleTargets()) {
+      validator.unregisterRule(id);
+    }
+    return this._customRules.delete(id);
+  }
+
+  // ============================================
+  // Parallel Validation API
+  // ============================================
+
+  /**
+   * Create a worker pool that validates files with this enhancer's config
+   * Workers resolve the same configuration, including rule packs; rules
+   * added with registerRule() are sent along and must be regex rules.
+   *
+   * @param {Object} options - ValidationPool options (size, maxQueue, timeout)
+   * @returns {ValidationPool} Pool reporting into this enhancer's monitor
+   */
+  createValidationPool(options = {}) {
+    if (!this._validator) {
+      throw new Error('JLMA-CFES not initialized - call initialize() first');
+    }
+
+    const { cwd, env, configFile, loadConfig, ...overrides } = this._constructorOptions;
+    const cloneable = Object.fromEntries(
+      Object.entries(overrides).filter(([, value]) => typeof value !== 'function')
+    );
+
+    return new ValidationPool({
+      size: this.options.workers || undefined,
+      monitor: this._monitor,
+      config: { cwd, env, configFile, discover: loadConfig !== false, overrides: cloneable },
+      rules: [...this._customRules.values()].filter(rule => !this._configRules.has(rule)),
+      ...options
+    });
+  }
+
+  // ============================================
+  // Claude Code Hook API
+  // ============================================
+
+  /**
+   * Run the registered hooks for a Claude Code hook event
+   * Used by `jlma-cfes hook <event>`; see ClaudeCodeHookAdapter.
+   *
+   * @param {string} event - PreToolUse, PostToolUse, UserPromptSubmit, Stop or SubagentStop
+   * @param {Object} payload - Hook payload from stdin (tool_name, tool_input, ...)
+   * @returns {Object} { exitCode, output, stderr }
+   */
+  async handleClaudeCodeHook(event, payload) {
+    if (!this._hooks) {
+      throw new Error('Hooks not enabled');
+    }
+    return await new ClaudeCodeHookAdapter(this._hooks).handle(event, payload);
+  }
+
   // ============================================
   // Truth Scoring API
   // ============================================
@@ -445,12 +613,14 @@ class JLMACFES {
         ? `${((this.metrics.violationsBlocked / this.metrics.validationsRun) * 100).toFixed(1)}%`
         : '0%',
       performanceTarget: `<${this.options.performanceThreshold}ms`,
-      memoryUsage: `${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`
+      memoryUsage: `${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`,
+      cache: this._validator ? this._validator.getMetrics().cache : null
     };
   }
 
   /**
    * Run performance benchmark
+   * Bypasses the result cache so every iteration runs the full rule set.
    * @param {number} iterations - Number of test iterations
    * @returns {Object} Benchmark results
    */
@@ -469,12 +639,12 @@ class JLMACFES {
     for (let i = 0; i < iterations; i++) {
       // Benchmark pre-validation
       const preStart = performance.now();
-      await this.validatePre(testCode);
+      await this.validatePre(testCode, { cache: false });
       results.preValidation.push(performance.now() - preStart);
 
       // Benchmark post-validation
       const postStart = performance.now();
-      await this.validatePost({ success: true, code: testCode });
+      await this.validatePost({ success: true, code: testCode }, { cache: false });
       results.postValidation.push(performance.now() - postStart);
     }
 
@@ -499,6 +669,18 @@ class JLMACFES {
     };
   }
 
+  /**
+   * Validators that custom rules apply to
+   */
+  _getRuleTargets() {
+    return [
+      this._validator,
+      this._hooks?.validator,
+      this._truthScoring?.validator,
+      this._hookAutomation?.validationHooks.validator
+    ].filter(Boolean);
+  }
+
   /**
    * Update rolling average response time
    */
@@ -517,10 +699,15 @@ export function createEnhancer(options = {}) {
 // Named exports for direct imports
 export {
   JLMACFES,
+  ConfigLoader,
   EnhancementCore,
   ValidationHooks,
   ClaudeFlowAdapter,
+  ClaudeCodeHookAdapter,
   PatternValidator,
+  Baseline,
+  ValidationPool,
+  AuditLog,
   PerformanceMonitor,
   TruthScoring,
   SPARCIntegration,
@@ -0,0 +1,363 @@
+/**
+ * AstAnalyzer - Syntax-aware JavaScript/TypeScript analysis engine
+ *
+ * Optional engine for PatternValidator. Parses source into an AST and runs
+ * rules as node visitors, so:
+ * - `innerHTML` inside a comment or string literal no longer fires
+ * - `exec(cmd + userInput)` split across lines is still caught
+ *
+ * Covers the XSS, SQL injection and command injection categories. Secret
+ * and performance checks stay on the regex engine, which remains the fast
+ * default. The parser is loaded lazily on first use.
+ */
+
+const AST_LANGUAGES = {
+  javascript: 'js',
+  js: 'js',
+  mjs: 'js',
+  cjs: 'js',
+  jsx: 'jsx',
+  typescript: 'ts',
+  ts: 'ts',
+  mts: 'ts',
+  cts: 'ts',
+  tsx: 'tsx'
+};
+
+const PARSER_PLUGINS = {
+  js: ['jsx'],
+  jsx: ['jsx'],
+  ts: ['typescript'],
+  tsx: ['typescript', 'jsx']
+};
+
+const CHILD_PROCESS_MODULES = ['child_process', 'node:child_process'];
+const SHELL_METHODS = ['exec', 'execSync'];
+const QUERY_METHODS = ['query', 'execute'];
+const HTML_SINKS = ['innerHTML', 'outerHTML'];
+
+let parserPromise = null;
+
+/**
+ * Map a context language to the parser dialect, or null if unsupported
+ *
+ * @param {string} language - Language name or file extension
+ * @returns {string|null} 'js' | 'jsx' | 'ts' | 'tsx' | null
+ */
+export function resolveAstLanguage(language) {
+  if (!language || typeof language !== 'string') return null;
+  return AST_LANGUAGES[language.toLowerCase().replace(/^\./, '')] || null;
+}
+
+export class AstAnalyzer {
+  constructor() {
+    this.rules = this._createRules();
+
+    // Visitors indexed by node type for a single-pass walk
+    this.visitors = indexVisitors(this.rules);
+  }
+
+  /**
+   * Parse and analyze source code
+   *
+   * @param {string} code - Source code
+   * @param {Object} options - Analysis options
+   * @param {string} options.language - Source language (selects parser plugins)
+   * @param {SourceIndex} options.index - Shared index for locations
+   * @param {Array} options.categories - Restrict built-in rules to these categories
+   * @param {boolean} options.includeBuiltins - Run built-in rules (default true)
+   * @param {Array} options.extraRules - Additional visitor rules for this call
+   * @returns {Object} { violations, parseError }
+   */
+  async analyze(code, options = {}) {
+    const dialect = resolveAstLanguage(options.language) || 'js';
+    const parser = await loadParser();
+
+    let ast;
+    try {
+      ast = parser.parse(code, {
+        sourceType: 'unambiguous',
+        errorRecovery: true,
+        allowReturnOutsideFunction: true,
+        plugins: PARSER_PLUGINS[dialect]
+      });
+    } catch (error) {
+      return { violations: [], parseError: error.message };
+    }
+
+    const rules = options.includeBuiltins === false ? [] : this.rules;
+    const extraRules = options.extraRules || [];
+    const visitors = extraRules.length > 0
+      ? indexVisitors([...rules, ...extraRules])
+      : options.includeBuiltins === false ? new Map() : this.visitors;
+
+    const state = {
+      code,
+      language: options.language,
+      index: options.index,
+      categories: options.categories || null,
+      childProcessBindings: this._collectChildProcessBindings(ast.program),
+      violations: new Map()
+    };
+
+    this._walk(ast.program, visitors, state);
+
+    return { violations: Array.from(state.violations.values()), parseError: null };
+  }
+
+  /**
+   * Visit every node once, dispatching to rules registered for its type
+   */
+  _walk(root, visitors, state) {
+    const stack = [root];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node || typeof node.type !== 'string') continue;
+
+      const rules = visitors.get(node.type);
+      if (rules) {
+        for (const rule of rules) {
+          if (!rule.custom && state.categories && !state.categories.includes(rule.category)) {
+            continue;
+          }
+          if (rule.visit(node, state)) this._report(rule, node, state);
+        }
+      }
+
+      for (const key of Object.keys(node)) {
+        if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' ||
+            key === 'innerComments' || key === 'extra') {
+          continue;
+        }
+        const value = node[key];
+        if (Array.isArray(value)) {
+          for (let i = value.length - 1; i >= 0; i--) stack.push(value[i]);
+        } else if (value && typeof value.type === 'string') {
+          stack.push(value);
+        }
+      }
+    }
+  }
+
+  /**
+   * Group matches per rule into a single violation, mirroring the regex engine
+   */
+  _report(rule, node, state) {
+    const location = state.index.locate(node.start, node.end);
+    const existing = state.violations.get(rule.id);
+
+    if (existing) {
+      existing.locations.push(location);
+      return;
+    }
+
+    state.violations.set(rule.id, {
+      type: rule.type,
+      pattern: rule.name,
+      ...(rule.custom ? { rule: rule.id, category: rule.category, custom: true } : {}),
+      severity: rule.severity,
+      message: rule.message,
+      suggestion: rule.suggestion,
+      engine: 'ast',
+      location,
+      locations: [location]
+    });
+  }
+
+  /**
+   * Find local names bound to child_process or its shell methods
+   */
+  _collectChildProcessBindings(program) {
+    const bindings = { modules: new Set(['child_process']), methods: new Set() };
+
+    const isChildProcessRequire = (node) =>
+      node?.type === 'CallExpression' &&
+      node.callee.type === 'Identifier' &&
+      node.callee.name === 'require' &&
+      CHILD_PROCESS_MODULES.includes(node.arguments[0]?.value);
+
+    for (const statement of program.body) {
+      if (statement.type === 'ImportDeclaration' &&
+          CHILD_PROCESS_MODULES.includes(statement.source.value)) {
+        for (const specifier of statement.specifiers) {
+          if (specifier.type === 'ImportSpecifier') {
+            const imported = specifier.imported.name || specifier.imported.value;
+            if (SHELL_METHODS.includes(imported)) bindings.methods.add(specifier.local.name);
+          } else {
+            bindings.modules.add(specifier.local.name);
+          }
+        }
+      }
+
+      if (statement.type === 'VariableDeclaration') {
+        for (const declarator of statement.declarations) {
+          if (!isChildProcessRequire(declarator.init)) continue;
+
+          if (declarator.id.type === 'Identifier') {
+            bindings.modules.add(declarator.id.name);
+          } else if (declarator.id.type === 'ObjectPattern') {
+            for (const property of declarator.id.properties) {
+              const key = property.key?.name || property.key?.value;
+              if (SHELL_METHODS.includes(key) && property.value?.type === 'Identifier') {
+                bindings.methods.add(property.value.name);
+              }
+            }
+          }
+        }
+      }
+    }
+
+    return bindings;
+  }
+
+  /**
+   * Built-in visitor rules
+   */
+  _createRules() {
+    return [
+      {
+        id: 'ast/html_sink_assignment',
+        name: 'innerHTML',
+        type: 'xss_vulnerability',
+        category: 'xss',
+        severity: 'CRITICAL',
+        message: 'XSS vulnerability: innerHTML',
+        suggestion: 'Use textContent or DOM methods',
+        nodeTypes: ['AssignmentExpression'],
+        visit: (node) => HTML_SINKS.includes(propertyName(node.left))
+      },
+      {
+        id: 'ast/document_write',
+        name: 'document.write',
+        type: 'xss_vulnerability',
+        category: 'xss',
+        severity: 'CRITICAL',
+        message: 'XSS vulnerability: document.write',
+        suggestion: 'Use DOM manipulation',
+        nodeTypes: ['CallExpression'],
+        visit: (node) =>
+          ['write', 'writeln'].includes(propertyName(node.callee)) &&
+          node.callee.object?.type === 'Identifier' &&
+          node.callee.object.name === 'document'
+      },
+      {
+        id: 'ast/eval',
+        name: 'eval',
+        type: 'xss_vulnerability',
+        category: 'xss',
+        severity: 'CRITICAL',
+        message: 'XSS vulnerability: eval',
+        suggestion: 'Avoid eval entirely',
+        nodeTypes: ['CallExpression'],
+        visit: (node) => node.callee.type === 'Identifier' && node.callee.name === 'eval'
+      },
+      {
+        id: 'ast/dangerously_set_inner_html',
+        name: 'dangerouslySetInnerHTML',
+        type: 'xss_vulnerability',
+        category: 'xss',
+        severity: 'CRITICAL',
+        message: 'XSS vulnerability: dangerouslySetInnerHTML',
+        suggestion: 'Sanitize HTML first',
+        nodeTypes: ['JSXAttribute', 'ObjectProperty'],
+        visit: (node) => (node.name?.name || node.key?.name) === 'dangerouslySetInnerHTML'
+      },
+      {
+        id: 'ast/child_process_exec',
+        name: 'exec_dynamic',
+        type: 'command_injection',
+        category: 'commandInjection',
+        severity: 'CRITICAL',
+        message: 'Command injection vulnerability: child_process.exec with dynamic command',
+        suggestion: 'Use execFile/spawn with an argument array instead of a shell string',
+        nodeTypes: ['CallExpression'],
+        visit: (node, state) => {
+          const { callee } = node;
+          const bindings = state.childProcessBindings;
+
+          const isShellCall =
+            (callee.type === 'Identifier' && bindings.methods.has(callee.name)) ||
+            (SHELL_METHODS.includes(propertyName(callee)) &&
+              callee.object?.type === 'Identifier' &&
+              bindings.modules.has(callee.object.name));
+
+          return isShellCall && node.arguments.length > 0 && !isStaticString(node.arguments[0]);
+        }
+      },
+      {
+        id: 'ast/query_template_literal',
+        name: 'template_literal',
+        type: 'sql_injection',
+        category: 'sqlInjection',
+        severity: 'CRITICAL',
+        message: 'SQL injection vulnerability: interpolated string passed to query()',
+        suggestion: 'Use parameterized queries: db.query("SELECT * FROM users WHERE id = ?", [id])',
+        nodeTypes: ['CallExpression'],
+        visit: (node) => {
+          const name = node.callee.type === 'Identifier'
+            ? node.callee.name
+            : propertyName(node.callee);
+          if (!QUERY_METHODS.includes(name)) return false;
+
+          const arg = node.arguments[0];
+          if (!arg) return false;
+          // Tagged templates (sql`...`) are the parameterized form
+          if (arg.type === 'TemplateLiteral') return arg.expressions.length > 0;
+          return arg.type === 'BinaryExpression' && !isStaticString(arg);
+        }
+      }
+    ];
+  }
+}
+
+/**
+ * Index rules by the node types they visit
+ */
+function indexVisitors(rules) {
+  const visitors = new Map();
+  for (const rule of rules) {
+    for (const nodeType of rule.nodeTypes) {
+      if (!visitors.has(nodeType)) visitors.set(nodeType, []);
+      visitors.get(nodeType).push(rule);
+    }
+  }
+  return visitors;
+}
+
+/**
+ * Load @babel/parser once
+ */
+function loadParser() {
+  if (!parserPromise) {
+    parserPromise = import('@babel/parser').then(mod => mod.default || mod);
+  }
+  return parserPromise;
+}
+
+/**
+ * Static property name of a member expression, or null
+ */
+function propertyName(node) {
+  if (!node || (node.type !== 'MemberExpression' && node.type !== 'OptionalMemberExpression')) {
+    return null;
+  }
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+  if (node.property.type === 'StringLiteral') return node.property.value;
+  return null;
+}
+
+/**
+ * True if the expression is a string with no runtime-controlled parts
+ */
+function isStaticString(node) {
+  if (!node) return false;
+  if (node.type === 'StringLiteral') return true;
+  if (node.type === 'TemplateLiteral') return node.expressions.length === 0;
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return isStaticString(node.left) && isStaticString(node.right);
+  }
+  return false;
+}
+
+export default AstAnalyzer;
@@ -0,0 +1,212 @@
+/**
+ * Baseline - Known findings that should not block new work
+ *
+ * A baseline records the findings present when validation is switched on
+ * for an existing codebase. Later runs report only findings that are not
+ * in the baseline, plus baseline entries that no longer occur (fixed).
+ *
+ * Entries are fingerprinted by rule, file and a hash of the whitespace-
+ * normalized source snippet - not by line number - so unrelated edits
+ * that move code around do not resurrect old findings.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync } from 'fs';
+import { dirname, relative, resolve, sep } from 'path';
+
+export const BASELINE_FILE = '.jlma-baseline.json';
+const BASELINE_VERSION = 1;
+
+export class Baseline {
+  /**
+   * @param {Object} data - Parsed baseline file ({ version, entries })
+   * @param {Object} options - { root } directory file keys are relative to
+   */
+  constructor(data = {}, options = {}) {
+    this.root = options.root || process.cwd();
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.entries = [];
+
+    // file -> phase -> fingerprint -> entry
+    this._index = new Map();
+    for (const entry of data.entries || []) {
+      this._addEntry(entry);
+    }
+  }
+
+  /**
+   * Load a baseline file
+   *
+   * @param {string} path - Baseline file path
+   * @returns {Baseline} Baseline rooted at the file's directory
+   */
+  static load(path) {
+    const fullPath = resolve(path);
+
+    let data;
+    try {
+      data = JSON.parse(readFileSync(fullPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to read baseline ${fullPath}: ${error.message}`);
+    }
+
+    if (data.version !== BASELINE_VERSION || !Array.isArray(data.entries)) {
+      throw new Error(`Unsupported baseline format in ${fullPath} (expected version ${BASELINE_VERSION})`);
+    }
+
+    return new Baseline(data, { root: dirname(fullPath) });
+  }
+
+  /**
+   * Fingerprint one finding location
+   */
+  static fingerprint(finding, location, fileKey) {
+    const rule = ruleKey(finding);
+    const snippet = normalizeSnippet(location?.snippet);
+    return createHash('sha256').update(`${rule}\0${fileKey}\0${snippet}`).digest('hex').slice(0, 24);
+  }
+
+  /**
+   * Record findings for a file
+   *
+   * @param {string} file - File path (absolute or relative to cwd)
+   * @param {string} phase - 'pre' | 'post'
+   * @param {Array} findings - Violations or issues with locations
+   */
+  add(file, phase, findings) {
+    const fileKey = this.fileKey(file);
+
+    for (const finding of findings) {
+      for (const location of locationsOf(finding)) {
+        this._addEntry({
+          fingerprint: Baseline.fingerprint(finding, location, fileKey),
+          rule: ruleKey(finding),
+          file: fileKey,
+          phase,
+          severity: finding.severity,
+          message: finding.message,
+          line: location?.line ?? null,
+          count: 1
+        });
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Split findings into new and baselined, and list fixed entries
+   *
+   * @param {Array} findings - Violations or issues for one file and phase
+   * @param {string} file - File the findings belong to
+   * @param {string} phase - 'pre' | 'post'
+   * @returns {Object} { active, baselined, fixed }
+   */
+  match(findings, file, phase) {
+    const fileKey = this.fileKey(file);
+    const known = this._index.get(fileKey)?.get(phase);
+
+    if (!known) return { active: findings, baselined: [], fixed: [] };
+
+    const remaining = new Map();
+    for (const [fingerprint, entry] of known) remaining.set(fingerprint, entry.count);
+
+    const active = [];
+    const baselined = [];
+
+    for (const finding of findings) {
+      const locations = locationsOf(finding);
+      const fresh = [];
+      const matched = [];
+
+      for (const location of locations) {
+        const fingerprint = Baseline.fingerprint(finding, location, fileKey);
+        if (remaining.get(fingerprint) > 0) {
+          remaining.set(fingerprint, remaining.get(fingerprint) - 1);
+          matched.push(location);
+        } else {
+          fresh.push(location);
+        }
+      }
+
+      if (matched.length > 0) baselined.push(withLocations(finding, matched));
+      if (fresh.length > 0) active.push(matched.length > 0 ? withLocations(finding, fresh) : finding);
+    }
+
+    const fixed = [];
+    for (const [fingerprint, entry] of known) {
+      const left = remaining.get(fingerprint);
+      if (left > 0) fixed.push({ ...entry, count: left });
+    }
+
+    return { active, baselined, fixed };
+  }
+
+  /**
+   * Normalize a file path to a baseline key (relative, forward slashes)
+   */
+  fileKey(file) {
+    if (!file) return '';
+    return relative(this.root, resolve(file)).split(sep).join('/');
+  }
+
+  toJSON() {
+    return {
+      version: BASELINE_VERSION,
+      tool: 'jlma-cfes',
+      createdAt: this.createdAt,
+      totalFindings: this.entries.reduce((sum, entry) => sum + entry.count, 0),
+      entries: [...this.entries].sort((a, b) =>
+        a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0) || a.rule.localeCompare(b.rule))
+    };
+  }
+
+  /**
+   * Write the baseline to disk
+   */
+  save(path) {
+    writeFileSync(resolve(path), JSON.stringify(this.toJSON(), null, 2) + '\n', 'utf-8');
+    return this;
+  }
+
+  /**
+   * Add or merge an entry; identical fingerprints accumulate a count
+   */
+  _addEntry(entry) {
+    if (!this._index.has(entry.file)) this._index.set(entry.file, new Map());
+    const byPhase = this._index.get(entry.file);
+    if (!byPhase.has(entry.phase)) byPhase.set(entry.phase, new Map());
+    const byFingerprint = byPhase.get(entry.phase);
+
+    const existing = byFingerprint.get(entry.fingerprint);
+    if (existing) {
+      existing.count += entry.count || 1;
+      return;
+    }
+
+    const stored = { ...entry, count: entry.count || 1 };
+    byFingerprint.set(entry.fingerprint, stored);
+    this.entries.push(stored);
+  }
+}
+
+function ruleKey(finding) {
+  if (finding.rule) return finding.rule;
+  return finding.pattern ? `${finding.type}/${finding.pattern}` : finding.type;
+}
+
+function normalizeSnippet(snippet) {
+  return (snippet || '').replace(/\s+/g, ' ').trim();
+}
+
+function locationsOf(finding) {
+  if (finding.locations?.length) return finding.locations;
+  return [finding.location || null];
+}
+
+function withLocations(finding, locations) {
+  if (locations[0] === null) return finding;
+  return { ...finding, location: locations[0], locations };
+}
+
+export default Baseline;
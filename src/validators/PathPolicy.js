@@ -0,0 +1,285 @@
+/**
+ * PathPolicy - Allow / deny decisions for the files a tool touches
+ *
+ * File tools are grouped by operation: Read, Grep and Glob read; Write,
+ * Edit, MultiEdit and NotebookEdit write. Each path is normalized before
+ * matching - `..` segments are resolved and symlinks followed to their
+ * target - so `src/../.env` or a link to `~/.ssh/id_rsa` match like the
+ * file they reach.
+ *
+ * Per path, the first match wins:
+ * 1. Config `deny`, then `allow` patterns
+ * 2. Built-in rules (.env and key files; node_modules, .git, the hooks'
+ *    own config, baseline, settings and audit log, and anything outside
+ *    the project root for writes) unless an allow pattern matched
+ *
+ * Patterns are .gitignore-style globs (`.env`, `src/**`, `/etc/**`), or
+ * `Selector(glob)` to limit them to one tool (`Edit(docs/**)`) or one
+ * operation (`read(secrets/**)`). Globs without a slash match the file or
+ * any directory above it by name; others are relative to the project
+ * root unless absolute or starting with `~/`. Config patterns are tried
+ * on both the path as given and its symlink target.
+ */
+
+import { realpathSync } from 'fs';
+import { homedir } from 'os';
+import { basename, dirname, isAbsolute, join, relative, resolve, sep } from 'path';
+import { globToRegExp } from '../core/FileScanner.js';
+
+export const TOOL_OPERATIONS = {
+  Read: 'read',
+  Grep: 'read',
+  Glob: 'read',
+  Write: 'write',
+  Edit: 'write',
+  MultiEdit: 'write',
+  NotebookEdit: 'write'
+};
+
+export const OPERATIONS = ['read', 'write'];
+
+// Parameters that name the file or directory a tool works on
+const PATH_PARAMS = ['file_path', 'notebook_path', 'path'];
+
+// Files that configure or record the hooks, relative to the project root
+const CONTROL_FILES = [
+  /^(?:\.jlmarc\.json|jlma\.config\.m?js|\.jlma-baseline\.json)$/,
+  /^\.claude\/settings(?:\.local)?\.json$/,
+  /^\.jlma\/audit[^/]*\.jsonl(?:\.lock)?$/
+];
+
+/**
+ * Built-in rules; `check(path, policy)` returns true when the rule applies
+ */
+export const BUILTIN_RULES = [
+  {
+    id: 'env_file',
+    operations: ['read', 'write'],
+    severity: 'CRITICAL',
+    message: 'Environment file with secrets',
+    suggestion: 'Commit a .env.example with placeholder values and read configuration from it instead',
+    check: (path) => /^\.env(?:\..+)?$/.test(basename(path.real)) &&
+      !/\.(?:example|sample|template|dist)$/.test(path.real)
+  },
+  {
+    id: 'private_key',
+    operations: ['read', 'write'],
+    severity: 'CRITICAL',
+    message: 'Private key or credentials file',
+    suggestion: 'Keep keys out of agent sessions; reference them through environment variables',
+    check: (path) => /(?:^|\/)\.ssh\/|(?:^|\/)id_(?:rsa|dsa|ecdsa|ed25519)(?:$|[^.]|\.(?!pub$))|\.(?:pem|key|p12|pfx)$/
+      .test(path.real.split(sep).join('/'))
+  },
+  {
+    id: 'dependency_dir',
+    operations: ['write'],
+    severity: 'HIGH',
+    message: 'Write into node_modules or .git',
+    suggestion: 'Change dependencies through package.json and git state through git commands',
+    check: (path) => path.segments.some(segment => segment === 'node_modules' || segment === '.git')
+  },
+  {
+    id: 'control_file',
+    operations: ['write'],
+    severity: 'CRITICAL',
+    message: 'Write to a hook config, baseline, settings or audit file',
+    suggestion: 'Change hook configuration, baselines and Claude Code settings yourself; the audit log is written by the hooks only',
+    check: (path, policy) => (path.relative !== null && CONTROL_FILES.some(regex => regex.test(path.relative))) ||
+      policy.controlFiles.some(file => path.real === file || path.real.startsWith(`${file.replace(/\.[^./\\]+$/, '')}.`))
+  },
+  {
+    id: 'outside_project',
+    operations: ['write'],
+    severity: 'CRITICAL',
+    message: 'Write outside the project root',
+    suggestion: 'Keep changes inside the project, or allow the path in hooks.paths.allow',
+    check: (path) => path.outside
+  }
+];
+
+export class PathPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {string} options.root - Project root (default: process.cwd())
+   * @param {Array} options.allow - Patterns that allow a path (skipping built-in rules)
+   * @param {Array} options.deny - Patterns that deny a path
+   * @param {boolean} options.builtinRules - Apply BUILTIN_RULES (default true)
+   * @param {Array} options.controlFiles - Further files the control_file rule protects,
+   *   with their rotations and locks (a configured baseline or audit log)
+   */
+  constructor(options = {}) {
+    this.root = realPath(resolve(options.root || process.cwd()));
+    this.rules = {
+      deny: (options.deny || []).map(compilePathPattern),
+      allow: (options.allow || []).map(compilePathPattern)
+    };
+    this.builtinRules = options.builtinRules === false ? [] : BUILTIN_RULES;
+    this.controlFiles = (options.controlFiles || []).map(file => realPath(resolve(this.root, file)));
+  }
+
+  /**
+   * Decide whether a tool may touch the paths in its parameters
+   *
+   * @param {string} toolName - Tool name (Read, Edit, ...)
+   * @param {Object} params - Tool parameters
+   * @param {Object} context - { cwd } relative paths resolve against
+   * @returns {Object} { decision, reason, rule, severity, suggestion, findings, paths }
+   */
+  evaluate(toolName, params, context = {}) {
+    const operation = TOOL_OPERATIONS[toolName];
+    const raw = operation ? PATH_PARAMS.map(key => params?.[key]).filter(p => typeof p === 'string' && p) : [];
+
+    const paths = raw.map(path => this.normalize(path, context.cwd));
+    const findings = paths.flatMap(path => this._evaluatePath(toolName, operation, path));
+    const deciding = findings[0];
+
+    return {
+      decision: deciding ? 'deny' : 'allow',
+      reason: deciding ? `${deciding.message}: ${describePath(deciding)}` : null,
+      rule: deciding?.rule || null,
+      severity: deciding?.severity || null,
+      suggestion: deciding?.suggestion || null,
+      findings,
+      paths: paths.map(path => path.real)
+    };
+  }
+
+  /**
+   * Resolve a tool path: `..` collapsed, `~` expanded, symlinks followed
+   *
+   * @param {string} path - Path as the tool received it
+   * @param {string} cwd - Directory relative paths resolve against
+   * @returns {Object} { input, absolute, real, relative, outside, segments, forms }
+   */
+  normalize(path, cwd) {
+    const expanded = path === '~' || path.startsWith('~/') ? join(homedir(), path.slice(1)) : path;
+    const absolute = resolve(cwd || this.root, expanded);
+    const real = realPath(absolute);
+    const [relativeReal, relativeAbsolute] = [real, absolute].map(full => this._relative(full));
+
+    return {
+      input: path,
+      absolute,
+      real,
+      relative: relativeReal,
+      outside: relativeReal === null,
+      segments: real.split(sep).filter(Boolean),
+      // Forms config patterns are matched against: { full, relative }
+      forms: [...new Set([real, absolute])].map(full => ({
+        full: full.split(sep).join('/'),
+        relative: full === real ? relativeReal : relativeAbsolute
+      }))
+    };
+  }
+
+  _evaluatePath(toolName, operation, path) {
+    const applies = (pattern) => !pattern.selector ||
+      pattern.selector === toolName || pattern.selector === operation;
+    const matches = (pattern) => applies(pattern) && this._matches(pattern, path);
+    // Symlink targets are named in the reason
+    const target = path.real !== path.absolute ? { resolved: path.real } : {};
+
+    const denied = this.rules.deny.find(matches);
+    if (denied) {
+      return [{
+        rule: denied.source,
+        source: 'config',
+        severity: 'CRITICAL',
+        message: `Path matches deny rule '${denied.source}'`,
+        suggestion: `Remove the path from hooks.paths.deny to let ${toolName} use it`,
+        operation,
+        path: path.input,
+        ...target
+      }];
+    }
+
+    if (this.rules.allow.some(matches)) return [];
+
+    return this.builtinRules
+      .filter(rule => rule.operations.includes(operation) && rule.check(path, this))
+      .map(rule => ({
+        rule: rule.id,
+        source: 'builtin',
+        severity: rule.severity,
+        message: rule.message,
+        suggestion: rule.suggestion,
+        operation,
+        path: path.input,
+        ...target
+      }));
+  }
+
+  /**
+   * Test a pattern against the path and each directory above it
+   */
+  _matches(pattern, path) {
+    return path.forms.some(form => {
+      const target = pattern.absolute ? form.full : form.relative;
+      return target !== null && ancestors(target).some(candidate => pattern.regex.test(candidate));
+    });
+  }
+
+  /**
+   * Root-relative path with forward slashes, or null outside the root
+   */
+  _relative(full) {
+    const rel = relative(this.root, full);
+    if (rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) return null;
+    return rel.split(sep).join('/');
+  }
+}
+
+/**
+ * Compile a path pattern: `glob` or `Selector(glob)`
+ */
+export function compilePathPattern(source) {
+  const selected = /^([A-Za-z]+)\((.+)\)$/.exec(source);
+  const selector = selected ? selected[1] : null;
+  let glob = selected ? selected[2] : source;
+
+  if (selector && !OPERATIONS.includes(selector) && !TOOL_OPERATIONS[selector]) {
+    throw new Error(`Unknown tool or operation '${selector}' in path pattern '${source}'`);
+  }
+
+  if (glob.startsWith('~/')) glob = join(homedir(), glob.slice(2)).split(sep).join('/');
+  const absolute = glob.startsWith('/');
+  const anchored = absolute || glob.replace(/\/$/, '').includes('/');
+  const body = globToRegExp(glob.replace(/^\.\//, '').replace(/\/$/, '')).source.slice(1, -1);
+
+  return {
+    source,
+    selector,
+    absolute,
+    regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`)
+  };
+}
+
+function describePath(finding) {
+  return finding.resolved ? `${finding.path} (resolves to ${finding.resolved})` : finding.path;
+}
+
+/**
+ * Path itself plus every parent directory, deepest first
+ */
+function ancestors(path) {
+  const result = [];
+  for (let current = path; current && current !== '/' && current !== '.'; current = dirname(current)) {
+    result.push(current);
+  }
+  return result;
+}
+
+/**
+ * Follow symlinks; for paths that do not exist yet, resolve the nearest
+ * existing parent and keep the rest
+ */
+function realPath(path) {
+  try {
+    return realpathSync(path);
+  } catch {
+    const parent = dirname(path);
+    return parent === path ? path : join(realPath(parent), basename(path));
+  }
+}
+
+export default PathPolicy;
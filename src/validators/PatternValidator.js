@@ -8,8 +8,69 @@
  *
  * ALL patterns are real implementations with measurable detection.
  * NO placeholders or mock returns.
+ *
+ * Every finding carries a `location` (first match) and `locations` (all
+ * matches) with 1-based line/column ranges and a source snippet.
+ *
+ * Two engines: regex-over-text (fast default) and an optional AST engine for
+ * JavaScript/TypeScript, selected per call from `context.language`.
+ * Language packs (src/validators/packs) add rules for other languages,
+ * selected from `context.language` or the extension of `context.file`.
+ *
+ * Inline `jlma-ignore-*` / `jlma-disable` comments waive findings; waived
+ * findings are returned under `suppressed` with their justification. With
+ * `context.trustedCode` (e.g. the file on disk before an agent's edit), only
+ * directives already present there count; the rest go to `ignoredDirectives`.
+ * With a baseline and `context.file`, findings already recorded in the
+ * baseline move to `baselined` and vanished entries are listed in
+ * `baselineFixed`.
+ *
+ * Rules in shadow mode (custom rules with `mode: 'shadow'`, or any rule id
+ * or finding type listed in `shadowRules`) still run, but their findings
+ * move to `shadow` and leave `passed` alone; `shadowPassed` is the verdict
+ * had they been enforced.
+ *
+ * Results are cached by content hash, rule set and options; repeated
+ * content returns a copy of the earlier result flagged `cached: true`.
  */
 
+import { SourceIndex } from './SourceIndex.js';
+import { AstAnalyzer, resolveAstLanguage } from './AstAnalyzer.js';
+import { normalizeLanguage, detectLanguage } from './languages.js';
+import { Suppressions } from './Suppressions.js';
+import { Baseline } from './Baseline.js';
+import { ResultCache } from './ResultCache.js';
+import { SecretScanner } from './SecretScanner.js';
+import { LANGUAGE_PACKS } from './packs/index.js';
+import { existsSync } from 'fs';
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+export const RULE_MODES = ['enforce', 'shadow'];
+
+// Custom rule category -> option that gates it and phase it runs in
+const RULE_CATEGORIES = {
+  security: { option: 'enableSecurityChecks', phase: 'pre' },
+  performance: { option: 'enablePerformanceChecks', phase: 'pre' },
+  quality: { option: 'enableQualityChecks', phase: 'post' }
+};
+
+// Quality score deduction per custom post-validation finding
+const SEVERITY_DEDUCTIONS = { CRITICAL: 30, HIGH: 20, MEDIUM: 15, LOW: 5 };
+
+// Options that change results, and therefore cache keys
+const CACHE_KEY_OPTIONS = [
+  'enableSecurityChecks',
+  'enablePerformanceChecks',
+  'enableQualityChecks',
+  'strictMode',
+  'engine',
+  'shadowRules'
+];
+
+// Source of the analysis code itself, so upgrades invalidate on-disk entries
+let engineSourceHash = null;
+
 export class PatternValidator {
   constructor(options = {}) {
     this.options = {
@@ -17,16 +78,43 @@ export class PatternValidator {
       enablePerformanceChecks: options.enablePerformanceChecks !== false,
       enableQualityChecks: options.enableQualityChecks !== false,
       strictMode: options.strictMode || false,
+      engine: options.engine || 'auto', // 'auto' | 'regex' | 'ast'
+      cacheSize: options.cacheSize ?? 1000, // 0 disables the result cache
+      cacheDir: options.cacheDir || null, // optional on-disk cache
+      shadowRules: options.shadowRules || [], // rule ids / finding types reported, not enforced
       ...options
     };
 
     // Pre-compiled patterns for performance
     this.patterns = this._compilePatterns();
 
+    // Provider signatures, entropy scoring and placeholder allowlist
+    this.secretScanner = new SecretScanner({
+      entropyThreshold: this.options.entropyThreshold,
+      allowlist: this.options.secretAllowlist
+    });
+
+    // AST engine - created on first JS/TS validation
+    this._astAnalyzer = null;
+
+    // Org-specific rules added via registerRule()
+    this.customRules = new Map();
+
+    // Known legacy findings (Baseline instance or path to a baseline file)
+    this.baseline = null;
+    this.setBaseline(this.options.baseline);
+
+    // Results by content + rule set; the rule set hash resets on rule changes
+    this.cache = new ResultCache({ maxEntries: this.options.cacheSize, dir: this.options.cacheDir });
+    this._rulesetHash = null;
+
     // Metrics
     this.metrics = {
       checksRun: 0,
       violationsFound: 0,
+      suppressedFound: 0,
+      baselinedFound: 0,
+      shadowFound: 0,
       averageCheckTime: 0
     };
   }
@@ -37,6 +125,11 @@ export class PatternValidator {
    *
    * @param {string} code - Code to validate
    * @param {Object} context - Execution context
+   * @param {string} context.language - Source language; JS/TS selects the AST engine
+   * @param {string} context.engine - Force 'regex' or 'ast' for this call
+   * @param {string} context.file - Source file path (enables baseline matching)
+   * @param {string} context.trustedCode - Source whose suppression directives are honored
+   * @param {boolean} context.cache - Set false to bypass the result cache
    * @returns {Object} Validation result
    */
   async validatePre(code, context = {}) {
@@ -47,42 +140,104 @@ export class PatternValidator {
       return {
         passed: true,
         violations: [],
+        suppressed: [],
         responseTime: performance.now() - startTime
       };
     }
 
+    const cacheKey = this._cacheKey('pre', code, context);
+    const cached = cacheKey && this.cache.get(cacheKey);
+    if (cached) return this._cachedResult(cached, startTime);
+
+    // Shared offset -> line/column index for every rule in this call
+    const index = new SourceIndex(code);
+    const customRules = this._getApplicableRules('pre', context);
+    const pack = LANGUAGE_PACKS[normalizeLanguage(this._contextLanguage(context))];
+    const replaced = new Set(pack?.replaces || []);
+    let engine = this._selectEngine(context);
+    let parseError = null;
+    let astViolations = [];
+
+    // AST pass - built-in security visitors plus custom visitor rules
+    if (engine === 'ast') {
+      const visitorRules = customRules.filter(rule => rule.astRule).map(rule => rule.astRule);
+
+      if (this.options.enableSecurityChecks || visitorRules.length > 0) {
+        const analysis = await this._getAstAnalyzer().analyze(code, {
+          language: context.language,
+          index,
+          includeBuiltins: this.options.enableSecurityChecks,
+          extraRules: visitorRules
+        });
+
+        if (analysis.parseError) {
+          // Unparseable input - fall back to text patterns
+          parseError = analysis.parseError;
+          engine = 'regex';
+        } else {
+          astViolations = analysis.violations;
+        }
+      }
+    }
+
     // Security checks (CRITICAL - always run first)
     if (this.options.enableSecurityChecks) {
-      violations.push(...this._checkSecrets(code));
-      violations.push(...this._checkSQLInjection(code));
-      violations.push(...this._checkXSS(code));
-      violations.push(...this._checkCommandInjection(code));
+      violations.push(...this._checkSecrets(code, index));
+
+      if (engine === 'regex') {
+        if (!replaced.has('sqlInjection')) violations.push(...this._checkSQLInjection(code, index));
+        if (!replaced.has('xss')) violations.push(...this._checkXSS(code, index));
+        if (!replaced.has('commandInjection')) violations.push(...this._checkCommandInjection(code, index));
+      }
+
+      if (pack) violations.push(...this._checkLanguagePack(pack, code, index));
     }
+    violations.push(...astViolations);
 
     // Performance checks
     if (this.options.enablePerformanceChecks) {
-      violations.push(...this._checkHashMapViolations(code));
-      violations.push(...this._checkPerformanceAntiPatterns(code));
+      violations.push(...this._checkHashMapViolations(code, index));
+      violations.push(...this._checkPerformanceAntiPatterns(code, index));
     }
 
+    // Custom regex rules
+    violations.push(...this._checkCustomRules(code, index, customRules));
+
+    // Inline suppression directives, then known baseline findings
+    const suppressions = new Suppressions(code, index, { trusted: context.trustedCode });
+    const { active: unsuppressed, suppressed } = suppressions.apply(violations);
+    const { active: reported, ...baselineResult } = this._applyBaseline(unsuppressed, context, 'pre');
+    const { active, shadow } = this._splitShadow(reported);
+
     // In strict mode, block on any violation
-    const criticalViolations = violations.filter(v => v.severity === 'CRITICAL');
+    const criticalViolations = active.filter(v => v.severity === 'CRITICAL');
+    const verdict = (findings) => (this.options.strictMode
+      ? findings.length === 0
+      : !findings.some(v => v.severity === 'CRITICAL'));
 
     this.metrics.checksRun++;
-    this.metrics.violationsFound += violations.length;
+    this.metrics.violationsFound += active.length;
+    this.metrics.suppressedFound += suppressed.length;
+    this.metrics.shadowFound += shadow.length;
+
+    const output = {
+      passed: verdict(active),
+      violations: active,
+      suppressed,
+      ...(suppressions.ignored.length > 0 ? { ignoredDirectives: suppressions.ignored } : {}),
+      ...baselineResult,
+      ...(shadow.length > 0 ? { shadow, shadowPassed: verdict(reported) } : {}),
+      criticalCount: criticalViolations.length,
+      totalCount: active.length,
+      engine,
+      ...(parseError ? { parseError } : {})
+    };
+    if (cacheKey) this.cache.set(cacheKey, structuredClone(output));
 
     const responseTime = performance.now() - startTime;
     this._updateAverageCheckTime(responseTime);
 
-    return {
-      passed: this.options.strictMode
-        ? violations.length === 0
-        : criticalViolations.length === 0,
-      violations,
-      criticalCount: criticalViolations.length,
-      totalCount: violations.length,
-      responseTime
-    };
+    return { ...output, responseTime };
   }
 
   /**
@@ -96,78 +251,456 @@ export class PatternValidator {
   async validatePost(result, context = {}) {
     const startTime = performance.now();
     const issues = [];
-    let qualityScore = 100;
+
+    // Quality score deduction per issue type, applied after suppressions
+    const deductions = new Map();
+    const addIssue = (issue, deduction) => {
+      issues.push(issue);
+      deductions.set(issue.type, deduction);
+    };
 
     // Extract code from result
     const code = this._extractCode(result);
 
+    const cacheKey = code ? this._cacheKey('post', code, context) : null;
+    const cached = cacheKey && this.cache.get(cacheKey);
+    if (cached) return this._cachedResult(cached, startTime);
+
+    const index = code ? new SourceIndex(code) : null;
+
     if (code && this.options.enableQualityChecks) {
       // Check error handling
-      const errorHandling = this._checkErrorHandling(code);
+      const errorHandling = this._checkErrorHandling(code, index);
       if (!errorHandling.hasProperHandling) {
-        issues.push({
+        addIssue({
           type: 'missing_error_handling',
           severity: 'MEDIUM',
           message: errorHandling.message,
-          suggestion: 'Add try-catch blocks or .catch() for promises'
-        });
-        qualityScore -= 15;
+          suggestion: 'Add try-catch blocks or .catch() for promises',
+          ...this._locationFields(errorHandling.found)
+        }, 15);
       }
 
       // Check for hardcoded values
-      const hardcoded = this._checkHardcodedValues(code);
+      const hardcoded = this._checkHardcodedValues(code, index);
       if (hardcoded.found) {
-        issues.push({
+        addIssue({
           type: 'hardcoded_values',
           severity: 'LOW',
           message: hardcoded.message,
           matches: hardcoded.matches,
-          suggestion: 'Move hardcoded values to configuration'
-        });
-        qualityScore -= 5;
+          suggestion: 'Move hardcoded values to configuration',
+          ...this._locationFields(hardcoded.locations)
+        }, 5);
       }
 
       // Check for memory leak patterns
-      const memoryLeaks = this._checkMemoryLeaks(code);
+      const memoryLeaks = this._checkMemoryLeaks(code, index);
       if (memoryLeaks.potential) {
-        issues.push({
+        addIssue({
           type: 'potential_memory_leak',
           severity: 'HIGH',
           message: memoryLeaks.message,
-          suggestion: 'Ensure proper cleanup of intervals and event listeners'
+          suggestion: 'Ensure proper cleanup of intervals and event listeners',
+          ...this._locationFields(memoryLeaks.found)
+        }, 20);
+      }
+    }
+
+    // Custom quality rules
+    const customRules = code ? this._getApplicableRules('post', context) : [];
+    if (customRules.length > 0) {
+      const customIssues = this._checkCustomRules(code, index, customRules);
+
+      const visitorRules = customRules.filter(rule => rule.astRule).map(rule => rule.astRule);
+      if (visitorRules.length > 0 && resolveAstLanguage(context.language)) {
+        const analysis = await this._getAstAnalyzer().analyze(code, {
+          language: context.language,
+          index,
+          includeBuiltins: false,
+          extraRules: visitorRules
         });
-        qualityScore -= 20;
+        customIssues.push(...analysis.violations);
+      }
+
+      for (const issue of customIssues) {
+        addIssue(issue, SEVERITY_DEDUCTIONS[issue.severity] || 0);
       }
     }
 
+    // Inline suppression directives, then known baseline findings
+    const { active: unsuppressed, suppressed } = code
+      ? new Suppressions(code, index).apply(issues)
+      : { active: issues, suppressed: [] };
+    const { active: reported, ...baselineResult } = this._applyBaseline(unsuppressed, context, 'post');
+    const { active, shadow } = this._splitShadow(reported);
+
+    const score = (findings) => findings.reduce((total, issue) => total - deductions.get(issue.type), 100);
+    const qualityScore = score(active);
+
     this.metrics.checksRun++;
-    const responseTime = performance.now() - startTime;
+    this.metrics.suppressedFound += suppressed.length;
+    this.metrics.shadowFound += shadow.length;
 
-    return {
+    const output = {
       passed: qualityScore >= 70,
       qualityScore: Math.max(0, qualityScore),
-      issues,
-      responseTime
+      issues: active,
+      suppressed,
+      ...baselineResult,
+      ...(shadow.length > 0 ? { shadow, shadowPassed: score(reported) >= 70 } : {})
     };
+    if (cacheKey) this.cache.set(cacheKey, structuredClone(output));
+
+    return { ...output, responseTime: performance.now() - startTime };
+  }
+
+  /**
+   * Set or clear the baseline of known findings
+   *
+   * @param {Baseline|string|null} baseline - Baseline, path to a baseline file, or null
+   *   (a path that does not exist yet is ignored)
+   */
+  setBaseline(baseline) {
+    if (typeof baseline === 'string') {
+      this.baseline = existsSync(baseline) ? Baseline.load(baseline) : null;
+    } else {
+      this.baseline = baseline || null;
+    }
+    this._rulesetHash = null;
+    return this;
+  }
+
+  /**
+   * Drop all cached results (memory and disk)
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Cache key for one validation call, or null when caching is off
+   * Covers content, rule set, result-affecting options and context.
+   */
+  _cacheKey(phase, code, context) {
+    if (!this.cache.enabled || context.cache === false) return null;
+
+    const options = CACHE_KEY_OPTIONS.map(name => this.options[name]).join('|');
+    // Baseline matching depends on the file; otherwise identical content shares a result
+    const file = this.baseline ? (context.file || context.filePath || '') : '';
+
+    return ResultCache.hash(
+      phase,
+      this._getRulesetHash(),
+      options,
+      this._contextLanguage(context) || '',
+      context.engine || '',
+      file,
+      typeof context.trustedCode === 'string' ? ResultCache.hash(context.trustedCode) : '',
+      code
+    );
+  }
+
+  /**
+   * Hash of everything that defines the rule set
+   */
+  _getRulesetHash() {
+    if (!this._rulesetHash) {
+      engineSourceHash ??= ResultCache.hash(
+        PatternValidator, AstAnalyzer, Suppressions, Baseline, SourceIndex, SecretScanner
+      );
+
+      const serialize = (value) => JSON.stringify(value, (key, v) =>
+        (v instanceof RegExp || typeof v === 'function' ? String(v) : v));
+
+      this._rulesetHash = ResultCache.hash(
+        engineSourceHash,
+        serialize(this.patterns),
+        serialize(this.secretScanner),
+        serialize(LANGUAGE_PACKS),
+        serialize([...this.customRules.values()].map(({ astRule, ...rule }) => rule)),
+        this.baseline ? serialize(this.baseline) : ''
+      );
+    }
+    return this._rulesetHash;
+  }
+
+  _cachedResult(cached, startTime) {
+    // Counted as if the checks had run, so metrics do not depend on the cache
+    this.metrics.checksRun++;
+    this.metrics.violationsFound += cached.violations?.length || 0;
+    this.metrics.suppressedFound += cached.suppressed?.length || 0;
+    this.metrics.shadowFound += cached.shadow?.length || 0;
+    this.metrics.baselinedFound += cached.baselined?.length || 0;
+    const responseTime = performance.now() - startTime;
+    this._updateAverageCheckTime(responseTime);
+
+    return { ...structuredClone(cached), cached: true, responseTime };
+  }
+
+  /**
+   * Remove findings recorded in the baseline for this file
+   */
+  _applyBaseline(findings, context, phase) {
+    const file = context.file || context.filePath;
+    if (!this.baseline || !file) return { active: findings };
+
+    const { active, baselined, fixed } = this.baseline.match(findings, file, phase);
+    this.metrics.baselinedFound += baselined.length;
+
+    return { active, baselined, baselineFixed: fixed };
+  }
+
+  /**
+   * Separate findings of shadow-mode rules from enforced ones
+   */
+  _splitShadow(findings) {
+    const active = [];
+    const shadow = [];
+    for (const finding of findings) {
+      const id = finding.rule || finding.type;
+      // A custom rule's own mode wins over the shadowRules list
+      const listed = this.options.shadowRules.includes(id) || this.options.shadowRules.includes(finding.type);
+      if ((this.customRules.get(id)?.mode || (listed ? 'shadow' : 'enforce')) === 'shadow') {
+        shadow.push({ ...finding, mode: 'shadow' });
+      } else {
+        active.push(finding);
+      }
+    }
+    return { active, shadow };
+  }
+
+  /**
+   * Register a custom rule
+   *
+   * @param {Object} rule - Rule definition
+   * @param {string} rule.id - Unique rule identifier (reported as the finding type)
+   * @param {string} rule.category - 'security' | 'performance' | 'quality'
+   * @param {string} rule.severity - 'CRITICAL' | 'HIGH' | 'MEDIUM' | 'LOW'
+   * @param {Array} rule.languages - Only run for these languages (optional)
+   * @param {RegExp} rule.regex - Text pattern (one of regex/visitor required)
+   * @param {Object} rule.visitor - AST visitors keyed by node type, JS/TS only:
+   *   { CallExpression(node, { code, language }) { return true; } }
+   * @param {string} rule.message - Finding message
+   * @param {string} rule.suggestion - How to fix it
+   * @param {string} rule.mode - 'enforce' (default) or 'shadow' (reported, never fails validation)
+   */
+  registerRule(rule = {}) {
+    const { id } = rule;
+
+    if (!id || typeof id !== 'string') {
+      throw new Error('Rule must have a string id');
+    }
+    if (!RULE_CATEGORIES[rule.category]) {
+      throw new Error(
+        `Rule '${id}' has invalid category '${rule.category}' (expected ${Object.keys(RULE_CATEGORIES).join(', ')})`
+      );
+    }
+
+    const severity = rule.severity || 'MEDIUM';
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Rule '${id}' has invalid severity '${severity}'`);
+    }
+    if (rule.mode !== undefined && !RULE_MODES.includes(rule.mode)) {
+      throw new Error(`Rule '${id}' has invalid mode '${rule.mode}' (expected ${RULE_MODES.join(', ')})`);
+    }
+    if (!(rule.regex instanceof RegExp) && !rule.visitor) {
+      throw new Error(`Rule '${id}' must define a regex or a visitor`);
+    }
+    if (rule.visitor && (typeof rule.visitor !== 'object' ||
+        Object.values(rule.visitor).some(fn => typeof fn !== 'function'))) {
+      throw new Error(`Rule '${id}' visitor must map node types to functions`);
+    }
+
+    const compiled = {
+      id,
+      category: rule.category,
+      phase: RULE_CATEGORIES[rule.category].phase,
+      severity,
+      languages: rule.languages ? rule.languages.map(normalizeLanguage) : null,
+      regex: rule.regex
+        ? (rule.regex.global ? rule.regex : new RegExp(rule.regex.source, `${rule.regex.flags}g`))
+        : null,
+      message: rule.message || `Custom rule ${id} matched`,
+      suggestion: rule.suggestion,
+      mode: rule.mode || null,
+      visitor: rule.visitor || null
+    };
+
+    if (rule.visitor) {
+      compiled.astRule = {
+        id,
+        name: id,
+        type: id,
+        category: rule.category,
+        custom: true,
+        severity,
+        message: compiled.message,
+        suggestion: compiled.suggestion,
+        nodeTypes: Object.keys(rule.visitor),
+        visit: (node, state) =>
+          Boolean(rule.visitor[node.type](node, { code: state.code, language: state.language }))
+      };
+    }
+
+    this.customRules.set(id, compiled);
+    this._rulesetHash = null;
+    return this;
+  }
+
+  /**
+   * Remove a custom rule
+   *
+   * @param {string} id - Rule identifier
+   * @returns {boolean} True if a rule was removed
+   */
+  unregisterRule(id) {
+    this._rulesetHash = null;
+    return this.customRules.delete(id);
+  }
+
+  /**
+   * Custom rules that apply to a phase and context
+   * Rules with a language list are skipped only when the context names another language.
+   */
+  _getApplicableRules(phase, context) {
+    if (this.customRules.size === 0) return [];
+
+    const language = normalizeLanguage(context.language);
+    const rules = [];
+
+    for (const rule of this.customRules.values()) {
+      if (rule.phase !== phase) continue;
+      if (!this.options[RULE_CATEGORIES[rule.category].option]) continue;
+      if (rule.languages && language && !rule.languages.includes(language)) continue;
+      rules.push(rule);
+    }
+
+    return rules;
+  }
+
+  /**
+   * Run custom regex rules
+   */
+  _checkCustomRules(code, index, rules) {
+    const violations = [];
+
+    for (const rule of rules) {
+      if (!rule.regex) continue;
+
+      const found = this._findMatches(code, rule.regex, index);
+      if (found.length > 0) {
+        violations.push({
+          type: rule.id,
+          rule: rule.id,
+          category: rule.category,
+          custom: true,
+          severity: rule.severity,
+          message: rule.message,
+          matches: found.slice(0, 5).map(f => f.text),
+          suggestion: rule.suggestion,
+          ...this._locationFields(found)
+        });
+      }
+    }
+
+    return violations;
   }
 
   /**
    * Check for hardcoded secrets
-   * REAL IMPLEMENTATION - detects actual secret patterns
+   * REAL IMPLEMENTATION - provider signatures, variable-name patterns and
+   * high-entropy literals, in that order; each span is reported once
    */
-  _checkSecrets(code) {
+  _checkSecrets(code, index) {
     const violations = [];
+    const covered = [];
+    const redact = (snippet, text) => snippet.split(text).join(this._maskSecret(text));
+    const overlaps = (start, end) => covered.some(range => start < range.end && range.start < end);
+
+    const report = (found, finding) => {
+      violations.push({
+        type: 'hardcoded_secret',
+        severity: 'CRITICAL',
+        ...finding,
+        suggestion: 'Use environment variables: process.env.SECRET_NAME',
+        ...this._locationFields(found)
+      });
+    };
+    const locate = (match, options = {}) => ({
+      text: match.text,
+      location: index.locate(match.start, match.end, {
+        redact: options.redact === false ? undefined : (snippet) => redact(snippet, match.text)
+      })
+    });
+
+    for (const { signature, matches } of this.secretScanner.matchProviders(code)) {
+      covered.push(...matches);
+      const found = matches.map(match => locate(match, signature));
+      report(found, {
+        pattern: signature.name,
+        provider: signature.provider,
+        message: `Hardcoded ${signature.description} detected`,
+        matches: found.map(f => (signature.redact === false ? f.text : this._maskSecret(f.text)))
+      });
+    }
 
     for (const pattern of this.patterns.secrets) {
-      const matches = code.match(pattern.regex);
-      if (matches) {
-        violations.push({
-          type: 'hardcoded_secret',
+      const matches = [];
+      for (const match of code.matchAll(pattern.regex)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        const value = match[0].match(/["']([^"']*)["']/)?.[1] ?? '';
+        if (overlaps(start, end) || this.secretScanner.isAllowed(value)) continue;
+        matches.push({ text: match[0], start, end });
+      }
+      if (matches.length > 0) {
+        covered.push(...matches);
+        const found = matches.map(match => locate(match));
+        report(found, {
           pattern: pattern.name,
-          severity: 'CRITICAL',
+          provider: 'generic',
           message: `Hardcoded ${pattern.name} detected`,
-          matches: matches.map(m => this._maskSecret(m)),
-          suggestion: 'Use environment variables: process.env.SECRET_NAME'
+          matches: found.map(f => this._maskSecret(f.text))
+        });
+      }
+    }
+
+    const entropic = this.secretScanner.matchHighEntropy(code, covered);
+    if (entropic.length > 0) {
+      const found = entropic.map(match => locate(match));
+      const highest = Math.max(...entropic.map(match => match.entropy));
+      report(found, {
+        pattern: 'high_entropy_string',
+        provider: 'unknown',
+        severity: 'HIGH',
+        message: `High-entropy string literal may be a secret (${highest.toFixed(2)} bits/char)`,
+        matches: found.map(f => this._maskSecret(f.text))
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Run a language pack's rules
+   * One finding per rule, typed like the built-in checks it extends
+   */
+  _checkLanguagePack(pack, code, index) {
+    const violations = [];
+
+    for (const rule of pack.rules) {
+      const found = this._findMatches(code, rule.regex, index);
+      if (found.length > 0) {
+        violations.push({
+          type: rule.type,
+          pattern: rule.name,
+          language: pack.language,
+          severity: rule.severity,
+          message: rule.message,
+          matches: found.slice(0, 5).map(f => f.text),
+          suggestion: rule.suggestion,
+          ...this._locationFields(found)
         });
       }
     }
@@ -179,18 +712,19 @@ export class PatternValidator {
    * Check for SQL injection vulnerabilities
    * REAL IMPLEMENTATION - detects string concatenation in SQL
    */
-  _checkSQLInjection(code) {
+  _checkSQLInjection(code, index) {
     const violations = [];
 
     for (const pattern of this.patterns.sqlInjection) {
-      const matches = code.match(pattern.regex);
-      if (matches) {
+      const found = this._findMatches(code, pattern.regex, index);
+      if (found.length > 0) {
         violations.push({
           type: 'sql_injection',
           severity: 'CRITICAL',
           message: 'SQL injection vulnerability: string concatenation in query',
-          matches: matches.slice(0, 3), // Limit to first 3
-          suggestion: 'Use parameterized queries: db.query("SELECT * FROM users WHERE id = ?", [id])'
+          matches: found.slice(0, 3).map(f => f.text), // Limit to first 3
+          suggestion: 'Use parameterized queries: db.query("SELECT * FROM users WHERE id = ?", [id])',
+          ...this._locationFields(found)
         });
       }
     }
@@ -202,17 +736,18 @@ export class PatternValidator {
    * Check for XSS vulnerabilities
    * REAL IMPLEMENTATION - detects unsafe DOM manipulation
    */
-  _checkXSS(code) {
+  _checkXSS(code, index) {
     const violations = [];
 
     for (const pattern of this.patterns.xss) {
-      const matches = code.match(pattern.regex);
-      if (matches) {
+      const found = this._findMatches(code, pattern.regex, index);
+      if (found.length > 0) {
         violations.push({
           type: 'xss_vulnerability',
           severity: 'CRITICAL',
           message: `XSS vulnerability: ${pattern.name}`,
-          suggestion: pattern.suggestion
+          suggestion: pattern.suggestion,
+          ...this._locationFields(found)
         });
       }
     }
@@ -224,17 +759,18 @@ export class PatternValidator {
    * Check for command injection
    * REAL IMPLEMENTATION - detects shell command construction
    */
-  _checkCommandInjection(code) {
+  _checkCommandInjection(code, index) {
     const violations = [];
 
     for (const pattern of this.patterns.commandInjection) {
-      const matches = code.match(pattern.regex);
-      if (matches) {
+      const found = this._findMatches(code, pattern.regex, index);
+      if (found.length > 0) {
         violations.push({
           type: 'command_injection',
           severity: 'CRITICAL',
           message: 'Command injection vulnerability detected',
-          suggestion: 'Use parameterized command execution or input sanitization'
+          suggestion: 'Use parameterized command execution or input sanitization',
+          ...this._locationFields(found)
         });
       }
     }
@@ -246,18 +782,19 @@ export class PatternValidator {
    * Check for HashMap performance violations (Rust-specific)
    * REAL IMPLEMENTATION - detects std::collections::HashMap usage
    */
-  _checkHashMapViolations(code) {
+  _checkHashMapViolations(code, index) {
     const violations = [];
 
     for (const pattern of this.patterns.hashMap) {
-      const matches = code.match(pattern.regex);
-      if (matches) {
+      const found = this._findMatches(code, pattern.regex, index);
+      if (found.length > 0) {
         violations.push({
           type: 'hashmap_performance',
           severity: 'HIGH',
           message: 'HashMap causes 40% performance regression vs FxHashMap',
-          matches: matches.slice(0, 5),
-          suggestion: 'Replace std::collections::HashMap with rustc_hash::FxHashMap'
+          matches: found.slice(0, 5).map(f => f.text),
+          suggestion: 'Replace std::collections::HashMap with rustc_hash::FxHashMap',
+          ...this._locationFields(found)
         });
       }
     }
@@ -269,18 +806,19 @@ export class PatternValidator {
    * Check for general performance anti-patterns
    * REAL IMPLEMENTATION - detects common performance issues
    */
-  _checkPerformanceAntiPatterns(code) {
+  _checkPerformanceAntiPatterns(code, index) {
     const violations = [];
 
     for (const pattern of this.patterns.performance) {
-      const matches = code.match(pattern.regex);
-      if (matches) {
+      const found = this._findMatches(code, pattern.regex, index);
+      if (found.length > 0) {
         violations.push({
           type: 'performance_antipattern',
           pattern: pattern.name,
           severity: 'MEDIUM',
           message: pattern.message,
-          suggestion: pattern.suggestion
+          suggestion: pattern.suggestion,
+          ...this._locationFields(found)
         });
       }
     }
@@ -291,7 +829,7 @@ export class PatternValidator {
   /**
    * Check for proper error handling
    */
-  _checkErrorHandling(code) {
+  _checkErrorHandling(code, index) {
     const hasTryCatch = /try\s*\{[\s\S]*?\}\s*catch/g.test(code);
     const hasPromiseCatch = /\.catch\s*\(/g.test(code);
     const hasAsyncAwait = /async\s+function|async\s*\(/g.test(code);
@@ -303,6 +841,9 @@ export class PatternValidator {
 
     return {
       hasProperHandling,
+      found: hasProperHandling
+        ? []
+        : this._findMatches(code, /async\s+function|async\s*\(|await\s+/g, index),
       message: needsErrorHandling && !hasProperHandling
         ? 'Async code without proper error handling'
         : 'Error handling present'
@@ -312,24 +853,23 @@ export class PatternValidator {
   /**
    * Check for hardcoded values
    */
-  _checkHardcodedValues(code) {
+  _checkHardcodedValues(code, index) {
     const patterns = [
       /["']\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}["']/g, // IP addresses
       /["'](http|https):\/\/(?!localhost)[^"']+["']/g, // External URLs
       /:\s*["']\d{4,5}["']/g // Port numbers
     ];
 
-    const matches = [];
+    const found = [];
     for (const pattern of patterns) {
-      const found = code.match(pattern);
-      if (found) {
-        matches.push(...found);
-      }
+      found.push(...this._findMatches(code, pattern, index));
     }
+    const matches = found.map(f => f.text);
 
     return {
       found: matches.length > 0,
       matches,
+      locations: found,
       message: matches.length > 0
         ? `Found ${matches.length} hardcoded value(s)`
         : 'No hardcoded values found'
@@ -339,18 +879,23 @@ export class PatternValidator {
   /**
    * Check for potential memory leaks
    */
-  _checkMemoryLeaks(code) {
+  _checkMemoryLeaks(code, index) {
     const hasSetInterval = /setInterval\s*\(/g.test(code);
     const hasClearInterval = /clearInterval/g.test(code);
     const hasAddEventListener = /addEventListener\s*\(/g.test(code);
     const hasRemoveEventListener = /removeEventListener/g.test(code);
 
-    const potentialLeak =
-      (hasSetInterval && !hasClearInterval) ||
-      (hasAddEventListener && !hasRemoveEventListener);
+    const intervalLeak = hasSetInterval && !hasClearInterval;
+    const listenerLeak = hasAddEventListener && !hasRemoveEventListener;
+    const potentialLeak = intervalLeak || listenerLeak;
+
+    const found = [];
+    if (intervalLeak) found.push(...this._findMatches(code, /setInterval\s*\(/g, index));
+    if (listenerLeak) found.push(...this._findMatches(code, /addEventListener\s*\(/g, index));
 
     return {
       potential: potentialLeak,
+      found,
       message: potentialLeak
         ? 'Potential memory leak: interval or event listener without cleanup'
         : 'No obvious memory leaks detected'
@@ -420,13 +965,88 @@ export class PatternValidator {
     };
   }
 
+  /**
+   * Pick the analysis engine for a validation call
+   * AST only applies to JavaScript/TypeScript; everything else uses regex.
+   */
+  _selectEngine(context) {
+    const requested = context.engine || this.options.engine;
+    if (requested === 'regex') return 'regex';
+
+    const astLanguage = resolveAstLanguage(context.language);
+    if (!astLanguage) return 'regex';
+
+    return requested === 'ast' || requested === 'auto' ? 'ast' : 'regex';
+  }
+
+  /**
+   * Language of a validation call: `context.language`, else the file extension
+   */
+  _contextLanguage(context) {
+    return context.language || detectLanguage(context.file || context.filePath);
+  }
+
+  /**
+   * Lazily create the AST engine
+   */
+  _getAstAnalyzer() {
+    if (!this._astAnalyzer) {
+      this._astAnalyzer = new AstAnalyzer();
+    }
+    return this._astAnalyzer;
+  }
+
+  /**
+   * Find all matches of a global regex with their source locations
+   *
+   * @param {string} code - Source being validated
+   * @param {RegExp} regex - Pattern (must carry the g flag)
+   * @param {SourceIndex} index - Shared index for this validation call
+   * @param {Object} options - { redact: fn(snippet, matchText) }
+   * @returns {Array} [{ text, location }]
+   */
+  _findMatches(code, regex, index, options = {}) {
+    const found = [];
+
+    for (const match of code.matchAll(regex)) {
+      const text = match[0];
+      found.push({
+        text,
+        location: index.locate(match.index, match.index + text.length, {
+          redact: options.redact ? (snippet) => options.redact(snippet, text) : undefined
+        })
+      });
+    }
+
+    return found;
+  }
+
+  /**
+   * Build the location fields attached to a finding
+   */
+  _locationFields(found) {
+    if (!found || found.length === 0) return {};
+    return {
+      location: found[0].location,
+      locations: found.map(f => f.location)
+    };
+  }
+
   /**
    * Mask secret values for safe logging
    */
   _maskSecret(secret) {
-    return secret.replace(/["']([^"']{4,})["']/, (match, value) => {
+    const mask = (value) =>
+      `${value.substring(0, 2)}${'*'.repeat(Math.min(value.length - 4, 20))}${value.slice(-2)}`;
+
+    // Bare tokens (provider formats) are masked whole
+    if (!/["'`]/.test(secret)) {
+      return secret.length <= 4 ? secret : mask(secret);
+    }
+
+    return secret.replace(/["'`]([^"'`]{4,})["'`]/, (match, value) => {
       if (value.length <= 4) return match;
-      return `"${value.substring(0, 2)}${'*'.repeat(Math.min(value.length - 4, 20))}${value.slice(-2)}"`;
+      return `"${mask(value)}"`;
     });
   }
 
@@ -457,8 +1077,14 @@ export class PatternValidator {
     return {
       checksRun: this.metrics.checksRun,
       violationsFound: this.metrics.violationsFound,
+      suppressedFound: this.metrics.suppressedFound,
+      baselinedFound: this.metrics.baselinedFound,
+      shadowFound: this.metrics.shadowFound,
       averageCheckTime: `${this.metrics.averageCheckTime.toFixed(3)}ms`,
-      patternsLoaded: Object.values(this.patterns).reduce((sum, arr) => sum + arr.length, 0)
+      patternsLoaded: Object.values(this.patterns).reduce((sum, arr) => sum + arr.length, 0) +
+        this.customRules.size,
+      customRules: this.customRules.size,
+      cache: this.cache.getStats()
     };
   }
 }
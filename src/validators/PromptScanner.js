@@ -0,0 +1,159 @@
+/**
+ * PromptScanner - Secrets and prompt-injection phrasing in user prompts
+ *
+ * Secrets are found with the SecretScanner provider signatures (AWS, GitHub,
+ * PEM blocks, ...) plus `.env`-style assignments such as `DB_PASSWORD=...`.
+ * Prompts are prose, so the entropy scoring used for code is left out.
+ *
+ * Injection phrasing ("ignore all previous instructions", fake `system:`
+ * turns, requests to send credentials somewhere) is only looked for in
+ * pasted content - fenced code blocks, `>` quotes and `<document>`-style
+ * tag blocks - where it comes from a third party rather than the user.
+ * Invisible Unicode (zero-width and bidi override characters) is flagged
+ * anywhere in the prompt.
+ */
+
+import { SecretScanner } from './SecretScanner.js';
+
+// .env / shell assignments of secret-named variables
+const ENV_SECRET = {
+  name: 'env_secret',
+  provider: 'env',
+  description: 'secret environment variable',
+  regex: /^[ \t]*(?:export[ \t]+)?[A-Za-z0-9_]*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_KEY|APIKEY|PRIVATE_KEY|ACCESS_KEY)[A-Za-z0-9_]*[ \t]*=[ \t]*(?<secret>"[^"\n]{6,}"|'[^'\n]{6,}'|[^\s"']{6,})/gim
+};
+
+export const INJECTION_PATTERNS = [
+  {
+    id: 'ignore_instructions',
+    description: 'asks to ignore earlier instructions',
+    regex: /\b(?:ignore|disregard|forget|override)\s+(?:all\s+|any\s+)?(?:of\s+)?(?:the\s+|your\s+)?(?:previous|prior|above|earlier|preceding|original)\s+(?:instructions|prompts?|directions|rules|guidelines)/i
+  },
+  {
+    id: 'role_override',
+    description: 'tries to assign the assistant a new role',
+    regex: /\byou\s+are\s+now\s+(?:a|an|in|the)\b|\bact\s+as\s+(?:an?\s+)?(?:unrestricted|unfiltered|jailbroken|DAN)\b|\bdeveloper\s+mode\s+(?:enabled|on)\b/i
+  },
+  {
+    id: 'fake_system_turn',
+    description: 'imitates a system or assistant message',
+    regex: /^\s*(?:system|assistant)\s*:|<\/?\s*(?:system|im_start|im_end)\b|\[\/?INST\]|<<\/?SYS>>/im
+  },
+  {
+    id: 'prompt_extraction',
+    description: 'asks to reveal the system prompt',
+    regex: /\b(?:reveal|print|show|repeat|output|leak)\s+(?:me\s+)?(?:your|the)\s+(?:system\s+prompt|hidden\s+(?:prompt|instructions)|initial\s+instructions)/i
+  },
+  {
+    id: 'exfiltration',
+    description: 'asks to send credentials or secrets elsewhere',
+    regex: /\b(?:send|post|upload|exfiltrate|forward|curl)\b[^\n.]{0,60}\b(?:api[_ -]?keys?|credentials|secrets|tokens|passwords|\.env|ssh\s+keys?|id_rsa)\b/i
+  },
+  {
+    id: 'conceal_from_user',
+    description: 'asks to hide actions from the user',
+    regex: /\b(?:do\s+not|don't|never)\s+(?:tell|inform|alert|notify|mention\s+(?:this\s+)?to)\s+the\s+user\b/i
+  }
+];
+
+const HIDDEN_UNICODE = {
+  id: 'hidden_unicode',
+  description: 'contains invisible or text-direction control characters',
+  regex: /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/
+};
+
+// Pasted regions: fenced blocks, quoted lines, tag-delimited documents
+const PASTED_REGIONS = [
+  /^(```|~~~)[^\n]*\n[\s\S]*?^\1[ \t]*$/gm,
+  /^(?:>[^\n]*(?:\n|$))+/gm,
+  /<([A-Za-z][\w-]*)(?:\s[^>]*)?>[\s\S]*?<\/\1>/g
+];
+
+export class PromptScanner {
+  /**
+   * @param {Object} options - Scanner options
+   * @param {SecretScanner} options.secretScanner - Shared scanner (default: a new one)
+   * @param {Array} options.allowlist - Placeholder patterns, when no scanner is given
+   */
+  constructor(options = {}) {
+    this.secretScanner = options.secretScanner || new SecretScanner({ allowlist: options.allowlist });
+  }
+
+  /**
+   * Find secrets in a prompt
+   *
+   * @param {string} prompt - Prompt text
+   * @returns {Array} [{ name, provider, description, start, end }] in prompt order
+   */
+  findSecrets(prompt) {
+    const found = [];
+    const covered = (start, end) => found.some(secret => start < secret.end && secret.start < end);
+
+    for (const { signature, matches } of this.secretScanner.matchProviders(prompt)) {
+      for (const { start, end } of matches) {
+        found.push({ name: signature.name, provider: signature.provider, description: signature.description, start, end });
+      }
+    }
+
+    for (const match of prompt.matchAll(ENV_SECRET.regex)) {
+      const value = match.groups.secret.replace(/^["']|["']$/g, '');
+      const start = match.index + match[0].length - match.groups.secret.length;
+      const end = match.index + match[0].length;
+      if (this.secretScanner.isAllowed(value) || covered(start, end)) continue;
+      found.push({ name: ENV_SECRET.name, provider: ENV_SECRET.provider, description: ENV_SECRET.description, start, end });
+    }
+
+    return found.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Replace each secret with `[REDACTED <name>]`
+   *
+   * @param {string} prompt - Prompt text
+   * @param {Array} secrets - Result of findSecrets()
+   * @returns {string} Redacted prompt
+   */
+  redact(prompt, secrets = this.findSecrets(prompt)) {
+    let redacted = '';
+    let position = 0;
+    for (const secret of secrets) {
+      if (secret.start < position) continue;
+      redacted += `${prompt.slice(position, secret.start)}[REDACTED ${secret.name}]`;
+      position = secret.end;
+    }
+    return redacted + prompt.slice(position);
+  }
+
+  /**
+   * Find injection phrasing in pasted content, and hidden characters anywhere
+   *
+   * @param {string} prompt - Prompt text
+   * @returns {Array} [{ id, description, text, pasted }] - one per pattern
+   */
+  findInjections(prompt) {
+    const findings = [];
+    const pasted = pastedRegions(prompt).join('\n');
+
+    for (const pattern of INJECTION_PATTERNS) {
+      const match = pasted && pattern.regex.exec(pasted);
+      if (match) {
+        findings.push({ id: pattern.id, description: pattern.description, text: match[0].trim().slice(0, 80), pasted: true });
+      }
+    }
+
+    if (HIDDEN_UNICODE.regex.test(prompt)) {
+      findings.push({ id: HIDDEN_UNICODE.id, description: HIDDEN_UNICODE.description, text: null, pasted: false });
+    }
+
+    return findings;
+  }
+}
+
+/**
+ * Text of the prompt's pasted regions
+ */
+function pastedRegions(prompt) {
+  return PASTED_REGIONS.flatMap(regex => [...prompt.matchAll(regex)].map(match => match[0]));
+}
+
+export default PromptScanner;
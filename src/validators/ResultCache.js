@@ -0,0 +1,156 @@
+/**
+ * ResultCache - Content-addressed cache for validation results
+ *
+ * Agents re-submit identical content during retries and across sessions;
+ * a cached result comes back in microseconds instead of re-running every
+ * rule. Keys are built by PatternValidator from a hash of the content,
+ * the rule set, options and the context that affects results, so any rule
+ * or config change produces new keys and stale entries are never served.
+ *
+ * - In-memory LRU (Map insertion order) bounded by `maxEntries`
+ * - Optional on-disk layer (`dir`): one JSON file per key, shared across
+ *   processes and sessions
+ */
+
+import { createHash } from 'crypto';
+import { mkdirSync, readFileSync, writeFileSync, readdirSync, unlinkSync, renameSync } from 'fs';
+import { join } from 'path';
+
+export class ResultCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - In-memory entries (0 disables the cache)
+   * @param {string} options.dir - Directory for the on-disk cache (optional)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? 1000;
+    this.dir = options.dir || null;
+    this.entries = new Map();
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      diskHits: 0,
+      diskWrites: 0,
+      evictions: 0
+    };
+
+    if (this.dir) {
+      mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  get enabled() {
+    return this.maxEntries > 0 || this.dir !== null;
+  }
+
+  /**
+   * Hash helper for key material
+   */
+  static hash(...parts) {
+    const hash = createHash('sha256');
+    for (const part of parts) hash.update(String(part)).update('\0');
+    return hash.digest('hex');
+  }
+
+  /**
+   * Look up a key, refreshing its LRU position
+   *
+   * @returns {Object|undefined} Cached value
+   */
+  get(key) {
+    if (this.entries.has(key)) {
+      const value = this.entries.get(key);
+      this.entries.delete(key);
+      this.entries.set(key, value);
+      this.stats.hits++;
+      return value;
+    }
+
+    const fromDisk = this._readDisk(key);
+    if (fromDisk !== undefined) {
+      this._setMemory(key, fromDisk);
+      this.stats.hits++;
+      this.stats.diskHits++;
+      return fromDisk;
+    }
+
+    this.stats.misses++;
+    return undefined;
+  }
+
+  set(key, value) {
+    this._setMemory(key, value);
+    this._writeDisk(key, value);
+  }
+
+  /**
+   * Drop every entry, including the on-disk cache
+   */
+  clear() {
+    this.entries.clear();
+
+    if (this.dir) {
+      for (const name of readdirSync(this.dir)) {
+        if (name.endsWith('.json')) unlinkSync(join(this.dir, name));
+      }
+    }
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: this.enabled,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? `${((this.stats.hits / lookups) * 100).toFixed(1)}%` : '0%',
+      evictions: this.stats.evictions,
+      diskHits: this.stats.diskHits,
+      diskWrites: this.stats.diskWrites,
+      dir: this.dir
+    };
+  }
+
+  _setMemory(key, value) {
+    if (this.maxEntries <= 0) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  _readDisk(key) {
+    if (!this.dir) return undefined;
+
+    try {
+      return JSON.parse(readFileSync(join(this.dir, `${key}.json`), 'utf-8'));
+    } catch {
+      // Missing or half-written entries are plain misses
+      return undefined;
+    }
+  }
+
+  _writeDisk(key, value) {
+    if (!this.dir) return;
+
+    // Write then rename so concurrent readers never see a partial file
+    const path = join(this.dir, `${key}.json`);
+    const temp = `${path}.${process.pid}.tmp`;
+    try {
+      writeFileSync(temp, JSON.stringify(value));
+      renameSync(temp, path);
+      this.stats.diskWrites++;
+    } catch {
+      // The disk layer is best-effort; memory still holds the entry
+    }
+  }
+}
+
+export default ResultCache;
@@ -0,0 +1,311 @@
+/**
+ * SarifReport - SARIF 2.1.0 output for validator findings
+ *
+ * Converts PatternValidator results into a SARIF log that GitHub code
+ * scanning and other SARIF viewers understand:
+ * - One `tool.driver.rules` entry per finding type or custom rule, with
+ *   help text, CWE tags and default level
+ * - One result per finding location, with a region and stable fingerprint
+ * - Inline suppressions are kept as results with an `inSource` suppression
+ */
+
+import { relative, resolve, sep } from 'path';
+import { Baseline } from './Baseline.js';
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const TOOL_NAME = 'jlma-cfes';
+const TOOL_URI = 'https://github.com/jlma/jlma-cfes';
+
+const LEVELS = {
+  CRITICAL: 'error',
+  HIGH: 'error',
+  MEDIUM: 'warning',
+  LOW: 'note'
+};
+
+// GitHub code scanning ranks security results by this score
+const SECURITY_SEVERITY = {
+  CRITICAL: '9.5',
+  HIGH: '7.5',
+  MEDIUM: '5.0',
+  LOW: '2.0'
+};
+
+/**
+ * Metadata for built-in finding types
+ */
+export const RULE_METADATA = {
+  hardcoded_secret: {
+    name: 'HardcodedSecret',
+    description: 'Hardcoded credential or secret',
+    help: 'Secrets committed to source leak through history, logs and forks. Load them from environment variables or a secret manager.',
+    cwe: [798],
+    security: true
+  },
+  sql_injection: {
+    name: 'SqlInjection',
+    description: 'SQL built from string concatenation or interpolation',
+    help: 'Pass user input as query parameters instead of concatenating it into SQL text.',
+    cwe: [89],
+    security: true
+  },
+  xss_vulnerability: {
+    name: 'CrossSiteScripting',
+    description: 'Unsafe HTML sink or dynamic code evaluation',
+    help: 'Write untrusted data with textContent or DOM APIs, sanitize HTML before rendering it, and avoid eval.',
+    cwe: [79, 95],
+    security: true
+  },
+  command_injection: {
+    name: 'CommandInjection',
+    description: 'Shell command built from dynamic input',
+    help: 'Pass commands as an argument array (execFile/spawn, subprocess.run([...])) so input is never parsed by a shell.',
+    cwe: [78],
+    security: true
+  },
+  code_injection: {
+    name: 'CodeInjection',
+    description: 'Dynamic evaluation of code',
+    help: 'Parse data with a data-only parser (JSON, ast.literal_eval) and dispatch behaviour through explicit mappings instead of eval/exec.',
+    cwe: [95],
+    security: true
+  },
+  insecure_deserialization: {
+    name: 'InsecureDeserialization',
+    description: 'Deserializer that can construct arbitrary objects',
+    help: 'Only deserialize trusted data with pickle or full YAML loaders; use JSON or yaml.safe_load for untrusted input.',
+    cwe: [502],
+    security: true
+  },
+  tls_verification_disabled: {
+    name: 'TlsVerificationDisabled',
+    description: 'TLS certificate verification turned off',
+    help: 'Keep certificate verification on; trust private CAs by pointing the client at their bundle.',
+    cwe: [295],
+    security: true
+  },
+  hashmap_performance: {
+    name: 'StdHashMap',
+    description: 'std::collections::HashMap in a hot path',
+    help: 'Use rustc_hash::FxHashMap for non-adversarial keys; SipHash is markedly slower.',
+    cwe: [],
+    tags: ['performance']
+  },
+  performance_antipattern: {
+    name: 'PerformanceAntiPattern',
+    description: 'Known slow code pattern',
+    help: 'Replace nested lookups with Map/Set, deep clones with structuredClone(), and pre-allocate arrays in loops.',
+    cwe: [],
+    tags: ['performance']
+  },
+  missing_error_handling: {
+    name: 'MissingErrorHandling',
+    description: 'Async code without error handling',
+    help: 'Wrap awaited calls in try/catch or attach .catch() handlers to promises.',
+    cwe: [755],
+    tags: ['quality']
+  },
+  hardcoded_values: {
+    name: 'HardcodedValues',
+    description: 'Hardcoded URL, port or address',
+    help: 'Move environment-specific values to configuration.',
+    cwe: [547],
+    tags: ['quality']
+  },
+  potential_memory_leak: {
+    name: 'PotentialMemoryLeak',
+    description: 'Interval or listener without cleanup',
+    help: 'Clear intervals and remove event listeners when their owner is disposed.',
+    cwe: [401],
+    tags: ['quality']
+  }
+};
+
+export class SarifReport {
+  /**
+   * @param {Object} options - Report options
+   * @param {string} options.root - Directory artifact URIs are relative to (default cwd)
+   * @param {string} options.toolVersion - Version reported for the driver
+   */
+  constructor(options = {}) {
+    this.root = options.root || process.cwd();
+    this.toolVersion = options.toolVersion || '3.0.0';
+
+    // rule id -> SARIF reportingDescriptor
+    this.rules = new Map();
+    this.results = [];
+  }
+
+  /**
+   * Add a validatePre/validatePost result
+   *
+   * @param {Object} result - Validation result (violations/issues, suppressed)
+   * @param {string} file - File the result belongs to (optional)
+   */
+  addValidation(result, file = null) {
+    this.addFindings(result.violations || result.issues || [], file);
+    this.addFindings(result.suppressed || [], file);
+    return this;
+  }
+
+  /**
+   * Add findings; one SARIF result is emitted per location
+   *
+   * @param {Array} findings - Violations or issues
+   * @param {string} file - File the findings belong to (optional)
+   */
+  addFindings(findings, file = null) {
+    const uri = file ? this._uri(file) : null;
+
+    for (const finding of findings) {
+      const ruleId = this._registerRule(finding);
+      const locations = finding.locations?.length
+        ? finding.locations
+        : [finding.location || null];
+
+      for (const location of locations) {
+        this.results.push(this._result(finding, ruleId, location, uri));
+      }
+    }
+
+    return this;
+  }
+
+  toJSON() {
+    return {
+      $schema: SARIF_SCHEMA,
+      version: SARIF_VERSION,
+      runs: [{
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version: this.toolVersion,
+            informationUri: TOOL_URI,
+            rules: Array.from(this.rules.values())
+          }
+        },
+        originalUriBaseIds: {
+          '%SRCROOT%': { uri: `${this._rootUri()}/` }
+        },
+        results: this.results
+      }]
+    };
+  }
+
+  /**
+   * Rule id for a finding: custom rule id, else the finding type
+   */
+  _registerRule(finding) {
+    const id = finding.rule || finding.type;
+    if (this.rules.has(id)) return id;
+
+    const meta = RULE_METADATA[finding.type];
+    const severity = finding.severity || 'MEDIUM';
+    const cwe = meta?.cwe || [];
+    const isSecurity = meta ? Boolean(meta.security) : finding.category === 'security';
+
+    const tags = [
+      ...(isSecurity ? ['security'] : meta?.tags || [finding.category || 'quality']),
+      ...cwe.map(n => `external/cwe/cwe-${n}`)
+    ];
+
+    this.rules.set(id, {
+      id,
+      name: meta?.name || toPascalCase(id),
+      shortDescription: { text: meta?.description || finding.message || id },
+      fullDescription: { text: meta?.description || finding.message || id },
+      help: {
+        text: meta?.help || finding.suggestion || finding.message || id
+      },
+      defaultConfiguration: { level: LEVELS[severity] || 'warning' },
+      properties: {
+        tags,
+        precision: 'medium',
+        ...(isSecurity ? { 'security-severity': SECURITY_SEVERITY[severity] } : {})
+      }
+    });
+
+    return id;
+  }
+
+  _result(finding, ruleId, location, uri) {
+    const result = {
+      ruleId,
+      level: LEVELS[finding.severity] || 'warning',
+      message: {
+        text: finding.suggestion ? `${finding.message}. ${finding.suggestion}` : finding.message
+      }
+    };
+
+    if (uri) {
+      result.locations = [{
+        physicalLocation: {
+          artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+          ...(location ? regions(location) : {})
+        }
+      }];
+      result.partialFingerprints = {
+        'jlmaFingerprint/v1': Baseline.fingerprint(finding, location, uri)
+      };
+    }
+
+    if (finding.suppression) {
+      const { directive, reason } = finding.suppression;
+      result.suppressions = [{
+        kind: 'inSource',
+        justification: reason || `${directive} without a reason`
+      }];
+    }
+
+    result.properties = {
+      severity: finding.severity,
+      ...(finding.pattern ? { pattern: finding.pattern } : {}),
+      ...(finding.provider ? { provider: finding.provider } : {}),
+      ...(finding.engine ? { engine: finding.engine } : {})
+    };
+
+    return result;
+  }
+
+  _uri(file) {
+    return relative(this.root, resolve(file)).split(sep).join('/');
+  }
+
+  _rootUri() {
+    const path = resolve(this.root).split(sep).join('/');
+    return `file://${path.startsWith('/') ? '' : '/'}${encodeURI(path)}`;
+  }
+}
+
+/**
+ * SARIF region (and line context) from a validator location
+ * Both use 1-based lines/columns with an exclusive end column. The
+ * validator snippet holds whole lines, so it becomes the context region.
+ */
+function regions(location) {
+  return {
+    region: {
+      startLine: location.line,
+      startColumn: location.column,
+      endLine: location.endLine,
+      endColumn: location.endColumn
+    },
+    ...(location.snippet ? {
+      contextRegion: {
+        startLine: location.line,
+        endLine: location.endLine,
+        snippet: { text: location.snippet }
+      }
+    } : {})
+  };
+}
+
+function toPascalCase(id) {
+  return id.split(/[^a-zA-Z0-9]+/).filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+}
+
+export default SarifReport;
@@ -0,0 +1,359 @@
+/**
+ * ShellPolicy - Allow / deny / ask decisions for shell commands
+ *
+ * Evaluates Bash tool calls command by command instead of as text:
+ * the command line is parsed (pipelines, && chains, subshells, sudo,
+ * substitutions, sh -c scripts) and every simple command is checked.
+ *
+ * Per simple command, the first match wins:
+ * 1. Config `deny`, then `ask`, then `allow` patterns
+ * 2. Built-in rules (recursive delete of /, curl | sh, force push to
+ *    main, chmod 777, writes under ~/.ssh) unless an allow pattern matched
+ * 3. The configured default decision (allow)
+ *
+ * `deny` and `ask` patterns are also tried against the whole command line.
+ * The overall decision is the most restrictive one: deny > ask > allow.
+ *
+ * Patterns are globs over the command text (`git push *`, `npm run test:*`)
+ * or /regular expressions/.
+ */
+
+import { parseShell, SHELLS } from './shellParser.js';
+
+export const DECISIONS = ['allow', 'ask', 'deny'];
+
+const DECISION_RANK = { allow: 0, ask: 1, deny: 2 };
+
+// Programs that fetch remote content
+const DOWNLOADERS = new Set(['curl', 'wget', 'fetch', 'aria2c']);
+
+// Interpreters that execute code read from stdin or a substitution
+const INTERPRETERS = new Set([...SHELLS, 'python', 'python3', 'perl', 'ruby', 'node']);
+
+// Top-level directories whose recursive removal wrecks the machine
+const CRITICAL_PATHS = new Set([
+  '/', '~', '$HOME', '${HOME}', '/bin', '/boot', '/dev', '/etc', '/home', '/lib',
+  '/lib64', '/opt', '/proc', '/root', '/sbin', '/srv', '/sys', '/usr', '/var', '/Users', '/System'
+]);
+
+const SSH_DIR = /^(?:~[^/]*|\$HOME|\$\{HOME\}|\/root|\/home\/[^/]+|\/Users\/[^/]+)\/\.ssh(?:\/|$)/;
+
+// Commands whose every operand may be written, moved or deleted
+const OPERAND_WRITERS = new Set([
+  'tee', 'touch', 'mkdir', 'rm', 'rmdir', 'chmod', 'chown', 'chgrp', 'truncate', 'shred', 'ln', 'mv', 'unlink'
+]);
+
+// Commands that write only their last operand
+const DESTINATION_WRITERS = new Set(['cp', 'scp', 'rsync', 'install']);
+
+const WRITE_REDIRECTS = new Set(['>', '>>', '>|', '&>', '&>>', '<>']);
+
+/**
+ * Built-in rules; `check(command, policy)` returns true when the rule applies
+ */
+export const BUILTIN_RULES = [
+  {
+    id: 'rm_recursive_root',
+    decision: 'deny',
+    severity: 'CRITICAL',
+    message: 'Recursive delete of the root, home or a system directory',
+    suggestion: 'Delete the specific paths you mean, relative to the project',
+    check: (command) => command.name === 'rm' &&
+      (command.args.includes('--no-preserve-root') ||
+        (hasFlag(command.args, 'rR', ['--recursive']) && operands(command.args).some(isCriticalPath)))
+  },
+  {
+    id: 'pipe_to_shell',
+    decision: 'deny',
+    severity: 'CRITICAL',
+    message: 'Downloaded content piped into a shell or interpreter',
+    suggestion: 'Download the script to a file, review it, then run it',
+    check: (command) => INTERPRETERS.has(command.name) &&
+      [...command.upstream, ...command.substitutions].some(source => DOWNLOADERS.has(source.name))
+  },
+  {
+    id: 'git_force_push_protected',
+    decision: 'deny',
+    severity: 'CRITICAL',
+    message: 'Force push to a protected branch',
+    suggestion: 'Push to a feature branch and open a pull request',
+    check: (command, policy) => {
+      const push = gitPush(command);
+      return Boolean(push?.force) && push.branches.some(branch => policy.protectedBranches.includes(branch));
+    }
+  },
+  {
+    id: 'git_force_push',
+    decision: 'ask',
+    severity: 'HIGH',
+    message: 'Force push without an explicit branch (may rewrite a protected branch)',
+    suggestion: 'Name the branch: git push --force-with-lease origin my-branch',
+    check: (command) => {
+      const push = gitPush(command);
+      return Boolean(push?.force) && (push.branches.length === 0 || push.branches.includes('HEAD'));
+    }
+  },
+  {
+    id: 'chmod_world_writable',
+    decision: 'deny',
+    severity: 'HIGH',
+    message: 'chmod makes files world-writable',
+    suggestion: 'Grant only what is needed, e.g. chmod 755 for directories, 644 for files',
+    check: (command) => command.name === 'chmod' && isWorldWritable(operands(command.args)[0])
+  },
+  {
+    id: 'ssh_dir_write',
+    decision: 'deny',
+    severity: 'CRITICAL',
+    message: 'Write to ~/.ssh (keys, authorized_keys or config)',
+    suggestion: 'Manage SSH keys and authorized_keys manually, outside agent sessions',
+    check: (command) => writeTargets(command).some(path => SSH_DIR.test(path))
+  }
+];
+
+export class ShellPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {Array} options.allow - Patterns that allow a command (skipping built-in rules)
+   * @param {Array} options.deny - Patterns that deny a command
+   * @param {Array} options.ask - Patterns that require confirmation
+   * @param {string} options.default - Decision when nothing matches (default 'allow')
+   * @param {boolean} options.builtinRules - Apply BUILTIN_RULES (default true)
+   * @param {Array} options.protectedBranches - Branches force pushes may not target
+   */
+  constructor(options = {}) {
+    this.rules = {
+      deny: (options.deny || []).map(compilePattern),
+      ask: (options.ask || []).map(compilePattern),
+      allow: (options.allow || []).map(compilePattern)
+    };
+    this.defaultDecision = options.default || 'allow';
+    this.builtinRules = options.builtinRules === false ? [] : BUILTIN_RULES;
+    this.protectedBranches = options.protectedBranches || ['main', 'master'];
+
+    if (!DECISIONS.includes(this.defaultDecision)) {
+      throw new Error(`Invalid default shell decision '${this.defaultDecision}' (expected ${DECISIONS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Decide whether a command line may run
+   *
+   * @param {string} command - Shell command line
+   * @returns {Object} { decision, reason, rule, severity, suggestion, findings, commands }
+   */
+  evaluate(command) {
+    let parsed;
+    try {
+      parsed = parseShell(command || '');
+    } catch (error) {
+      return this._decide([{
+        rule: 'parse_error',
+        source: 'builtin',
+        decision: 'ask',
+        severity: 'MEDIUM',
+        message: `Could not parse shell command: ${error.message}`,
+        command
+      }], []);
+    }
+
+    const findings = [];
+    const line = command.trim();
+
+    for (const decision of ['deny', 'ask']) {
+      const pattern = this.rules[decision].find(p => p.regex.test(line));
+      if (pattern) findings.push(this._configFinding(decision, pattern, line));
+    }
+
+    for (const simple of parsed.commands) {
+      findings.push(...this._evaluateCommand(simple));
+    }
+
+    return this._decide(findings, parsed.commands);
+  }
+
+  _evaluateCommand(command) {
+    const candidates = [command.text, command.argv.join(' ')];
+
+    for (const decision of ['deny', 'ask', 'allow']) {
+      const pattern = this.rules[decision].find(p => candidates.some(text => p.regex.test(text)));
+      if (pattern) {
+        return decision === 'allow' ? [] : [this._configFinding(decision, pattern, command.text)];
+      }
+    }
+
+    const builtin = this.builtinRules
+      .filter(rule => rule.check(command, this))
+      .map(rule => ({
+        rule: rule.id,
+        source: 'builtin',
+        decision: rule.decision,
+        severity: rule.severity,
+        message: rule.message,
+        suggestion: rule.suggestion,
+        command: command.text
+      }));
+    if (builtin.length > 0) return builtin;
+
+    if (this.defaultDecision !== 'allow' && command.name) {
+      return [{
+        rule: 'default',
+        source: 'config',
+        decision: this.defaultDecision,
+        severity: this.defaultDecision === 'deny' ? 'HIGH' : 'MEDIUM',
+        message: `No shell rule allows '${command.name}'`,
+        suggestion: 'Add an allow pattern for this command to hooks.shell.allow',
+        command: command.text
+      }];
+    }
+
+    return [];
+  }
+
+  _configFinding(decision, pattern, text) {
+    return {
+      rule: pattern.source,
+      source: 'config',
+      decision,
+      severity: decision === 'deny' ? 'CRITICAL' : 'MEDIUM',
+      message: `Command matches ${decision} rule '${pattern.source}'`,
+      command: text
+    };
+  }
+
+  /**
+   * Most restrictive finding decides; its message is the reason
+   */
+  _decide(findings, commands) {
+    const deciding = findings.reduce((worst, finding) =>
+      (!worst || DECISION_RANK[finding.decision] > DECISION_RANK[worst.decision] ? finding : worst), null);
+
+    return {
+      decision: deciding?.decision || 'allow',
+      reason: deciding ? `${deciding.message}: ${deciding.command}` : null,
+      rule: deciding?.rule || null,
+      severity: deciding?.severity || null,
+      suggestion: deciding?.suggestion || null,
+      findings,
+      commands: commands.map(command => command.text)
+    };
+  }
+}
+
+/**
+ * Compile a glob (`git push *`, `npm run test:*`) or /regex/flags pattern
+ */
+export function compilePattern(source) {
+  const regexForm = /^\/(.+)\/([a-z]*)$/.exec(source);
+  if (regexForm) {
+    return { source, regex: new RegExp(regexForm[1], regexForm[2].replace('g', '')) };
+  }
+
+  // `prefix:*` (Claude Code permission syntax) matches the prefix alone too
+  const [body, prefixOnly] = source.endsWith(':*') ? [source.slice(0, -2), true] : [source, false];
+  const pattern = body
+    .split('*')
+    .map(part => part.split('?').map(escapeRegExp).join('.'))
+    .join('.*');
+
+  return { source, regex: new RegExp(`^${pattern}${prefixOnly ? '(?:\\s.*)?' : ''}$`, 's') };
+}
+
+function hasFlag(args, letters, longFlags) {
+  return args.some(arg => longFlags.includes(arg) ||
+    (/^-[A-Za-z]+$/.test(arg) && [...arg.slice(1)].some(letter => letters.includes(letter))));
+}
+
+function operands(args) {
+  const end = args.indexOf('--');
+  const before = end === -1 ? args : args.slice(0, end);
+  const after = end === -1 ? [] : args.slice(end + 1);
+  return [...before.filter(arg => !arg.startsWith('-') || arg === '-'), ...after];
+}
+
+function isCriticalPath(path) {
+  const normalized = path.replace(/\/\*$/, '').replace(/(.)\/+$/, '$1') || '/';
+  return CRITICAL_PATHS.has(normalized) || /^\/+$/.test(normalized);
+}
+
+function isWorldWritable(mode) {
+  if (!mode) return false;
+  if (/^[0-7]{3,4}$/.test(mode)) return (parseInt(mode, 8) & 0o002) !== 0;
+
+  return mode.split(',').some(clause => {
+    const match = /^([ugoa]*)[+=]([rwxXst]*)$/.exec(clause);
+    return Boolean(match) && /[oa]/.test(match[1]) && match[2].includes('w');
+  });
+}
+
+/**
+ * Options of `git push` and the branches it targets
+ */
+function gitPush(command) {
+  if (command.name !== 'git') return null;
+
+  const args = [...command.args];
+  // Global options before the subcommand; these take a value
+  while (args.length > 0 && args[0].startsWith('-')) {
+    const option = args.shift();
+    if (['-C', '-c', '--git-dir', '--work-tree', '--namespace'].includes(option)) args.shift();
+  }
+  if (args.shift() !== 'push') return null;
+
+  const positional = [];
+  let force = false;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--force' || arg === '--mirror' || arg.startsWith('--force-with-lease') ||
+        /^-[a-zA-Z]*f[a-zA-Z]*$/.test(arg)) {
+      force = true;
+    } else if (['--repo', '-o', '--push-option', '--receive-pack', '--exec'].includes(arg)) {
+      i++;
+    } else if (!arg.startsWith('-')) {
+      positional.push(arg);
+    }
+  }
+
+  const refspecs = positional.slice(1);
+  if (refspecs.some(refspec => refspec.startsWith('+'))) force = true;
+
+  const branches = refspecs.map(refspec =>
+    refspec.replace(/^\+/, '').split(':').pop().replace(/^refs\/heads\//, ''));
+
+  return { force, branches };
+}
+
+/**
+ * Paths a command may write to, from redirects and write-like commands
+ */
+function writeTargets(command) {
+  const targets = command.redirects
+    .filter(redirect => WRITE_REDIRECTS.has(redirect.op))
+    .map(redirect => redirect.target);
+  const files = operands(command.args);
+
+  if (OPERAND_WRITERS.has(command.name)) {
+    targets.push(...files);
+  } else if (DESTINATION_WRITERS.has(command.name) && files.length > 0) {
+    targets.push(files[files.length - 1]);
+  } else if ((command.name === 'sed' || command.name === 'perl') &&
+      command.args.some(arg => /^-[a-zA-Z]*i/.test(arg) || arg.startsWith('--in-place'))) {
+    targets.push(...files);
+  } else if (command.name === 'dd') {
+    targets.push(...command.args.filter(arg => arg.startsWith('of=')).map(arg => arg.slice(3)));
+  } else {
+    const outputOptions = { 'ssh-keygen': ['-f'], curl: ['-o', '--output'], wget: ['-O', '--output-document'] };
+    for (const option of outputOptions[command.name] || []) {
+      const at = command.args.indexOf(option);
+      if (at !== -1 && command.args[at + 1]) targets.push(command.args[at + 1]);
+    }
+  }
+
+  return targets;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+export default ShellPolicy;
@@ -0,0 +1,105 @@
+/**
+ * SourceIndex - Offset to line/column mapping for validator findings
+ *
+ * Built once per validation call and shared by every rule, so resolving a
+ * match offset is a binary search instead of a rescan of the source.
+ * Line starts are computed lazily: clean code never pays for the index.
+ *
+ * Positions are 1-based; end columns are exclusive (SARIF/editor convention).
+ */
+
+const MAX_SNIPPET_LENGTH = 200;
+
+export class SourceIndex {
+  constructor(code) {
+    this.code = code;
+    this._lineStarts = null;
+  }
+
+  /**
+   * Resolve a character offset to a line/column position
+   *
+   * @param {number} offset - Character offset into the source
+   * @returns {Object} { line, column } (1-based)
+   */
+  positionAt(offset) {
+    const lineStarts = this._getLineStarts();
+    const clamped = Math.max(0, Math.min(offset, this.code.length));
+
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= clamped) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return { line: low + 1, column: clamped - lineStarts[low] + 1 };
+  }
+
+  /**
+   * Get the text of a 1-based line without its line terminator
+   */
+  lineText(line) {
+    const lineStarts = this._getLineStarts();
+    if (line < 1 || line > lineStarts.length) return '';
+
+    const start = lineStarts[line - 1];
+    const end = line < lineStarts.length ? lineStarts[line] : this.code.length;
+    return this.code.slice(start, end).replace(/\r?\n$/, '');
+  }
+
+  /**
+   * Build a location for the [start, end) offset range
+   *
+   * @param {number} start - Start offset (inclusive)
+   * @param {number} end - End offset (exclusive)
+   * @param {Object} options - { redact: fn(snippet) } to mask sensitive text
+   * @returns {Object} Location with line, column, endLine, endColumn, snippet
+   */
+  locate(start, end, options = {}) {
+    const from = this.positionAt(start);
+    const to = this.positionAt(Math.max(start, end));
+
+    const lines = [];
+    for (let line = from.line; line <= to.line; line++) {
+      lines.push(this.lineText(line));
+    }
+
+    let snippet = lines.join('\n');
+    if (options.redact) {
+      snippet = options.redact(snippet);
+    }
+    snippet = snippet.trim();
+    if (snippet.length > MAX_SNIPPET_LENGTH) {
+      snippet = `${snippet.slice(0, MAX_SNIPPET_LENGTH)}…`;
+    }
+
+    return {
+      line: from.line,
+      column: from.column,
+      endLine: to.line,
+      endColumn: to.column,
+      snippet
+    };
+  }
+
+  /**
+   * Compute line start offsets on first use
+   */
+  _getLineStarts() {
+    if (!this._lineStarts) {
+      const starts = [0];
+      for (let i = 0; i < this.code.length; i++) {
+        if (this.code.charCodeAt(i) === 10) starts.push(i + 1);
+      }
+      this._lineStarts = starts;
+    }
+    return this._lineStarts;
+  }
+}
+
+export default SourceIndex;
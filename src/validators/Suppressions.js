@@ -0,0 +1,200 @@
+/**
+ * Suppressions - Inline directives that waive validator findings
+ *
+ * Supported directives (any comment style: //, /* *\/, #):
+ *   // jlma-ignore-next-line sql_injection -- parameters are whitelisted
+ *   foo(); // jlma-ignore-line -- test fixture
+ *   /* jlma-disable hardcoded_secret -- fixture file with fake credentials *\/
+ *
+ * Rule lists may name a finding type (hardcoded_secret), a pattern
+ * (password) or a custom rule id. An empty list waives every rule.
+ * Text after `--` is the justification, kept for audits.
+ *
+ * With `trusted` source, only directives that also appear in it are
+ * honored: an edit cannot waive its own findings by adding a directive.
+ * A directive is matched together with the line it waives, and each one
+ * in the trusted source vouches for one copy, so moving or copying an
+ * existing directive onto new code does not carry it over either. The
+ * others are listed in `ignored`.
+ */
+
+const DIRECTIVE_REGEX = /(?:\/\/|\/\*|#|<!--)\s*jlma-(ignore-next-line|ignore-line|disable)(?![\w-])([^\n]*)/g;
+const REASON_SEPARATOR = /(?:^|\s)--(?:\s|$)/;
+
+export class Suppressions {
+  /**
+   * @param {string} code - Source being validated
+   * @param {SourceIndex} index - Shared index for this validation call
+   * @param {Object} options - { trusted } - source whose directives may be honored
+   */
+  constructor(code, index, options = {}) {
+    this.byLine = new Map();
+    this.fileLevel = [];
+    this.ignored = [];
+    // Anchor key -> directives of that kind left to honor
+    this.trusted = typeof options.trusted === 'string' ? countAnchors(options.trusted) : null;
+
+    // Cheap pre-check keeps clean code on the fast path
+    if (code.includes('jlma-')) {
+      this._parse(code, index);
+    }
+  }
+
+  /**
+   * True if no directives were found
+   */
+  get empty() {
+    return this.fileLevel.length === 0 && this.byLine.size === 0;
+  }
+
+  /**
+   * Split findings into active and suppressed
+   * A finding whose locations are only partly suppressed stays active with
+   * the remaining locations; the waived locations are reported separately.
+   *
+   * @param {Array} findings - Violations or issues with location(s)
+   * @returns {Object} { active, suppressed }
+   */
+  apply(findings) {
+    if (this.empty) return { active: findings, suppressed: [] };
+
+    const active = [];
+    const suppressed = [];
+
+    for (const finding of findings) {
+      const fileDirective = this.fileLevel.find(d => matchesRule(d, finding));
+      if (fileDirective) {
+        suppressed.push(withSuppression(finding, finding.locations, fileDirective));
+        continue;
+      }
+
+      const locations = finding.locations || (finding.location ? [finding.location] : []);
+      const remaining = [];
+      const waived = new Map();
+
+      for (const location of locations) {
+        const directive = (this.byLine.get(location.line) || []).find(d => matchesRule(d, finding));
+        if (directive) {
+          if (!waived.has(directive)) waived.set(directive, []);
+          waived.get(directive).push(location);
+        } else {
+          remaining.push(location);
+        }
+      }
+
+      for (const [directive, waivedLocations] of waived) {
+        suppressed.push(withSuppression(finding, waivedLocations, directive));
+      }
+
+      if (waived.size === 0) {
+        active.push(finding);
+      } else if (remaining.length > 0) {
+        active.push({ ...finding, location: remaining[0], locations: remaining });
+      }
+    }
+
+    return { active, suppressed };
+  }
+
+  /**
+   * Collect directives and the lines they apply to
+   */
+  _parse(code, index) {
+    for (const match of code.matchAll(DIRECTIVE_REGEX)) {
+      const kind = match[1];
+      const body = match[2].replace(/\s*(?:\*\/|-->).*$/, '');
+      const separator = body.match(REASON_SEPARATOR);
+
+      const rulesText = separator ? body.slice(0, separator.index) : body;
+      const reason = separator ? body.slice(separator.index + separator[0].length).trim() : '';
+      const line = index.positionAt(match.index).line;
+
+      const directive = {
+        directive: `jlma-${kind}`,
+        rules: rulesText.split(/[\s,]+/).filter(Boolean),
+        reason: reason || null,
+        line
+      };
+
+      if (this.trusted !== null) {
+        const key = anchorKey(code, match);
+        const left = this.trusted.get(key) || 0;
+        if (left === 0) {
+          this.ignored.push(directive);
+          continue;
+        }
+        this.trusted.set(key, left - 1);
+      }
+
+      if (kind === 'disable') {
+        this.fileLevel.push(directive);
+        continue;
+      }
+
+      const target = kind === 'ignore-line' ? line : line + 1;
+      if (!this.byLine.has(target)) this.byLine.set(target, []);
+      this.byLine.get(target).push(directive);
+    }
+  }
+}
+
+/**
+ * A directive with the code it waives: the next line for ignore-next-line,
+ * its own line for ignore-line, nothing else for a file-level disable
+ */
+function anchorKey(code, match) {
+  const lineEnd = (from) => {
+    const end = code.indexOf('\n', from);
+    return end === -1 ? code.length : end;
+  };
+  const start = code.lastIndexOf('\n', match.index - 1) + 1;
+  const end = lineEnd(match.index);
+
+  switch (match[1]) {
+    case 'ignore-line':
+      return `line\n${code.slice(start, end).trim()}`;
+    case 'ignore-next-line':
+      return `next\n${match[0].trim()}\n${end < code.length ? code.slice(end + 1, lineEnd(end + 1)).trim() : ''}`;
+    default:
+      return `disable\n${match[0].trim()}`;
+  }
+}
+
+/**
+ * How often each anchored directive occurs in a source
+ */
+function countAnchors(code) {
+  const counts = new Map();
+  if (!code.includes('jlma-')) return counts;
+
+  for (const match of code.matchAll(DIRECTIVE_REGEX)) {
+    const key = anchorKey(code, match);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * True if a directive waives the given finding
+ */
+function matchesRule(directive, finding) {
+  if (directive.rules.length === 0) return true;
+  return directive.rules.some(rule =>
+    rule === finding.type || rule === finding.pattern || rule === finding.rule
+  );
+}
+
+function withSuppression(finding, locations, directive) {
+  return {
+    ...finding,
+    ...(locations && locations.length > 0 ? { location: locations[0], locations } : {}),
+    suppression: {
+      directive: directive.directive,
+      rules: directive.rules,
+      reason: directive.reason,
+      line: directive.line
+    }
+  };
+}
+
+export default Suppressions;
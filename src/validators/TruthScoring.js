@@ -7,7 +7,7 @@
  * - Truth scoring (0.0-1.0 scale) for code, agents, and tasks
  * - Verification checks with automatic rollback support
  * - Quality metrics with trends and confidence intervals
- * - CI/CD export capabilities
+ * - CI/CD export capabilities (JSON, summary, SARIF 2.1.0)
  *
  * Performance targets:
  * - Single file check: <100ms
@@ -17,6 +17,7 @@
 
 import { EventEmitter } from 'events';
 import { PatternValidator } from './PatternValidator.js';
+import { SarifReport } from './SarifReport.js';
 
 export class TruthScoring extends EventEmitter {
   constructor(options = {}) {
@@ -51,7 +52,7 @@ export class TruthScoring extends EventEmitter {
    * Target: <50ms
    *
    * @param {string} code - Code to score
-   * @param {Object} context - Scoring context
+   * @param {Object} context - Scoring context (language, file)
    * @returns {Object} Truth score result
    */
   async calculateScore(code, context = {}) {
@@ -59,8 +60,8 @@ export class TruthScoring extends EventEmitter {
 
     try {
       // Run validation checks
-      const preResult = await this.validator.validatePre(code);
-      const postResult = await this.validator.validatePost({ code });
+      const preResult = await this.validator.validatePre(code, context);
+      const postResult = await this.validator.validatePost({ code }, context);
 
       // Calculate component scores
       const securityScore = this._calculateSecurityScore(preResult);
@@ -86,6 +87,7 @@ export class TruthScoring extends EventEmitter {
         status: this._getScoreStatus(overallScore),
         violations: preResult.violations || [],
         issues: postResult.issues || [],
+        ...(context.file ? { file: context.file } : {}),
         responseTime: `${(performance.now() - startTime).toFixed(2)}ms`
       };
 
@@ -109,12 +111,12 @@ export class TruthScoring extends EventEmitter {
    * Target: <100ms
    *
    * @param {string} code - Code to verify
-   * @param {Object} options - Verification options
+   * @param {Object} options - Verification options (threshold, rollbackFn, context)
    * @returns {Object} Verification result
    */
   async verify(code, options = {}) {
     const threshold = options.threshold || this.options.threshold;
-    const score = await this.calculateScore(code);
+    const score = await this.calculateScore(code, options.context);
 
     const result = {
       ...score,
@@ -190,10 +192,15 @@ export class TruthScoring extends EventEmitter {
   /**
    * Export metrics for CI/CD integration
    *
-   * @param {string} format - Export format (json, summary)
+   * @param {string} format - Export format (json, summary, sarif)
+   * @param {Object} options - SARIF options: { root } for relative file URIs
    * @returns {Object|string} Exported metrics
    */
-  export(format = 'json') {
+  export(format = 'json', options = {}) {
+    if (format === 'sarif') {
+      return this._exportSarif(options);
+    }
+
     const data = {
       version: '3.0.0',
       timestamp: new Date().toISOString(),
@@ -212,6 +219,20 @@ Total Checks: ${data.dashboard.statistics.total}`;
     return data;
   }
 
+  /**
+   * Findings from recent scores as a SARIF log
+   * Scores calculated with a `file` context get result locations.
+   */
+  _exportSarif(options) {
+    const report = new SarifReport({ root: options.root, toolVersion: '3.0.0' });
+
+    for (const score of this.scoreHistory.slice(-100)) {
+      report.addFindings([...(score.violations || []), ...(score.issues || [])], score.file);
+    }
+
+    return report.toJSON();
+  }
+
   /**
    * Calculate security score from validation result
    */
@@ -0,0 +1,51 @@
+/**
+ * Language names shared by validators and rule filters
+ *
+ * Rules, contexts and files may name a language by its full name, an alias
+ * or a file extension ('typescript', 'ts', '.tsx'). Everything is reduced
+ * to one canonical name before comparison.
+ */
+
+const LANGUAGE_ALIASES = {
+  javascript: ['javascript', 'js', 'mjs', 'cjs', 'jsx', 'node'],
+  typescript: ['typescript', 'ts', 'mts', 'cts', 'tsx'],
+  python: ['python', 'py', 'pyw', 'python3'],
+  rust: ['rust', 'rs'],
+  go: ['go', 'golang'],
+  shell: ['shell', 'sh', 'bash', 'zsh'],
+  sql: ['sql'],
+  java: ['java'],
+  ruby: ['ruby', 'rb'],
+  php: ['php']
+};
+
+const CANONICAL = new Map();
+for (const [name, aliases] of Object.entries(LANGUAGE_ALIASES)) {
+  for (const alias of aliases) CANONICAL.set(alias, name);
+}
+
+/**
+ * Reduce a language name, alias or extension to its canonical name
+ *
+ * @param {string} language - e.g. 'TypeScript', 'ts', '.py'
+ * @returns {string|null} Canonical name, the lowercased input if unknown, or null
+ */
+export function normalizeLanguage(language) {
+  if (!language || typeof language !== 'string') return null;
+  const key = language.toLowerCase().replace(/^\./, '');
+  return CANONICAL.get(key) || key;
+}
+
+/**
+ * Language key for a file path, from its extension
+ * Returns the extension itself ('tsx', 'py') so parsers can pick a dialect;
+ * normalizeLanguage() reduces it to the canonical name.
+ *
+ * @param {string} filePath - File path or name
+ * @returns {string|null} Extension of a known language, or null
+ */
+export function detectLanguage(filePath) {
+  const match = /\.([^./\\]+)$/.exec(filePath || '');
+  const ext = match ? match[1].toLowerCase() : null;
+  return ext && CANONICAL.has(ext) ? ext : null;
+}
@@ -0,0 +1,16 @@
+/**
+ * Built-in language packs, keyed by canonical language name
+ *
+ * A pack lists regex rules for one language and the built-in
+ * JS-flavoured pattern groups it replaces.
+ */
+
+import python from './python.js';
+import shell from './shell.js';
+
+export const LANGUAGE_PACKS = {
+  [python.language]: python,
+  [shell.language]: shell
+};
+
+export default LANGUAGE_PACKS;
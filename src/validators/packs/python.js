@@ -0,0 +1,84 @@
+/**
+ * Python rule pack
+ *
+ * Security patterns for Python source, applied when the validation
+ * context names Python (`context.language`) or the file has a Python
+ * extension. Findings reuse the built-in types where one fits
+ * (command_injection, sql_injection) so SARIF metadata, baselines and
+ * suppressions work unchanged.
+ */
+
+// Call arguments, allowing one level of nested parentheses
+const ARGS = String.raw`(?:[^()]|\([^()]*\))*?`;
+
+// String literal opening with an f-prefix (f"", rf'', Fb"", ...)
+const F_STRING = String.raw`(?:[rRbB]?[fF][rRbB]?)["']`;
+
+// Plain literal followed by %, + or .format( - built at runtime
+const FORMATTED_LITERAL = String.raw`["'][^"'\n]*["']\s*(?:%\s*[\w(]|\+|\.format\s*\()`;
+
+export default {
+  language: 'python',
+
+  // JS-flavoured checks that misfire on Python; eval/exec are covered below
+  replaces: ['xss', 'commandInjection'],
+
+  rules: [
+    {
+      name: 'subprocess_shell',
+      type: 'command_injection',
+      severity: 'CRITICAL',
+      regex: new RegExp(String.raw`\bsubprocess\.(?:run|call|check_call|check_output|Popen)\s*\(${ARGS}\bshell\s*=\s*True\b`, 'g'),
+      message: 'subprocess call with shell=True',
+      suggestion: 'Pass an argument list without shell=True: subprocess.run(["ls", path])'
+    },
+    {
+      name: 'os_system_interpolation',
+      type: 'command_injection',
+      severity: 'CRITICAL',
+      regex: new RegExp(String.raw`\bos\.(?:system|popen)\s*\(\s*(?:${F_STRING}|${FORMATTED_LITERAL})`, 'g'),
+      message: 'Shell command built with string interpolation',
+      suggestion: 'Use subprocess.run() with an argument list, or shlex.quote() each value'
+    },
+    {
+      name: 'pickle_load',
+      type: 'insecure_deserialization',
+      severity: 'HIGH',
+      regex: /\b(?:c?[pP]ickle|dill|joblib)\.loads?\s*\(/g,
+      message: 'pickle deserialization can execute arbitrary code',
+      suggestion: 'Only unpickle trusted data; use json for anything from users or the network'
+    },
+    {
+      name: 'yaml_unsafe_load',
+      type: 'insecure_deserialization',
+      severity: 'HIGH',
+      regex: new RegExp(String.raw`\byaml\.(?:unsafe_load(?:_all)?\s*\(|load(?:_all)?\s*\((?!${ARGS}Loader\s*=\s*(?:yaml\.)?C?SafeLoader\b))`, 'g'),
+      message: 'yaml.load without SafeLoader can construct arbitrary objects',
+      suggestion: 'Use yaml.safe_load() or pass Loader=yaml.SafeLoader'
+    },
+    {
+      name: 'execute_interpolation',
+      type: 'sql_injection',
+      severity: 'CRITICAL',
+      regex: new RegExp(String.raw`\.(?:execute|executemany|executescript)\s*\(\s*(?:${F_STRING}|${FORMATTED_LITERAL})`, 'g'),
+      message: 'SQL injection vulnerability: query built with string interpolation',
+      suggestion: 'Pass values as parameters: cursor.execute("SELECT * FROM users WHERE id = %s", (user_id,))'
+    },
+    {
+      name: 'eval_exec',
+      type: 'code_injection',
+      severity: 'CRITICAL',
+      regex: /(?<![\w.])(?:eval|exec)\s*\(/g,
+      message: 'eval()/exec() executes arbitrary code',
+      suggestion: 'Use ast.literal_eval() for data, or dispatch through an explicit mapping'
+    },
+    {
+      name: 'requests_verify_false',
+      type: 'tls_verification_disabled',
+      severity: 'HIGH',
+      regex: new RegExp(String.raw`\b(?:get|post|put|patch|delete|head|options|request|stream|Client|AsyncClient)\s*\(${ARGS}\bverify\s*=\s*False\b`, 'g'),
+      message: 'HTTP request with TLS certificate verification disabled',
+      suggestion: 'Remove verify=False; point verify at a CA bundle for private certificates'
+    }
+  ]
+};
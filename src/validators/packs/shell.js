@@ -0,0 +1,17 @@
+/**
+ * Shell rule pack
+ *
+ * Applied to Bash tool commands and shell scripts. Commands themselves are
+ * judged by ShellPolicy; the JS-flavoured injection patterns only match
+ * the text a command searches for or prints (`grep "el.innerHTML ="`,
+ * `echo "SELECT ... ${ID}"`), so they are skipped. Secret detection still
+ * runs on the command text.
+ */
+
+export default {
+  language: 'shell',
+
+  replaces: ['xss', 'sqlInjection', 'commandInjection'],
+
+  rules: []
+};
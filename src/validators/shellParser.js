@@ -0,0 +1,394 @@
+/**
+ * shellParser - Split shell command lines into simple commands
+ *
+ * Understands enough POSIX/bash syntax for policy checks:
+ * - Quoting ('...', "...", backslash escapes) and comments
+ * - Pipelines (|, |&), lists (&&, ||, ;, &, newlines) and ( subshells )
+ * - Redirections with optional fd prefixes (2>, &>>, 2>&1) and heredocs,
+ *   whose bodies are skipped rather than read as commands
+ * - Command substitution $(...) and `...`, process substitution <(...),
+ *   and `sh -c '...'` scripts, parsed recursively as nested commands
+ * - Wrappers (sudo, env, nohup, timeout, xargs, ...) and leading VAR=value
+ *   assignments, stripped so `name` is the command that actually runs
+ *
+ * Expansions ($HOME, globs) are not evaluated; words keep them literally.
+ */
+
+const OPERATORS = ['&&', '||', '|&', ';;', '|', ';', '&', '(', ')'];
+const REDIRECTS = ['<<<', '<<-', '&>>', '<<', '>>', '>&', '<&', '>|', '<>', '&>', '>', '<'];
+const LIST_OPERATORS = new Set(['&&', '||', ';', ';;', '&']);
+
+export const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish', 'ash']);
+
+// Nested substitutions/scripts beyond this depth are refused
+const MAX_DEPTH = 8;
+
+/**
+ * Commands that run another command; `options` take a value argument
+ */
+const WRAPPERS = {
+  sudo: { privileged: true, options: ['-u', '-g', '-C', '-D', '-h', '-p', '-r', '-t', '-U', '--user', '--group'] },
+  doas: { privileged: true, options: ['-u', '-C'] },
+  env: { assignments: true, options: ['-u', '--unset', '-C', '--chdir'] },
+  nohup: {},
+  time: {},
+  command: {},
+  builtin: {},
+  exec: { options: ['-a'] },
+  nice: { options: ['-n', '--adjustment'] },
+  timeout: { options: ['-s', '--signal', '-k', '--kill-after'], positional: 1 },
+  xargs: { options: ['-I', '-n', '-P', '-L', '-d', '-E', '-s', '-a'] }
+};
+
+/**
+ * Parse a command line
+ *
+ * @param {string} command - Shell command line
+ * @returns {Object} { commands, pipelines } - every simple command (including
+ *   nested ones) and the top-level pipelines as arrays of stages
+ * @throws {Error} On unterminated quotes, substitutions or subshells
+ */
+export function parseShell(command, depth = 0) {
+  if (depth > MAX_DEPTH) {
+    throw new Error(`Command nesting deeper than ${MAX_DEPTH} levels`);
+  }
+
+  const state = { tokens: tokenizeShell(command), pos: 0, commands: [], depth };
+  const pipelines = parseSequence(state, false);
+
+  return { commands: state.commands, pipelines };
+}
+
+/**
+ * Split a command line into word, operator and redirect tokens
+ *
+ * @param {string} input - Shell command line
+ * @returns {Array} [{ type: 'word', value, raw, substitutions } | { type: 'op', value }
+ *   | { type: 'redirect', value, fd }]
+ */
+export function tokenizeShell(input) {
+  const tokens = [];
+  const heredocs = [];
+  let expectHeredoc = null;
+  let word = null;
+  let i = 0;
+
+  const append = (value, raw = value) => {
+    word ??= { value: '', raw: '', substitutions: [] };
+    word.value += value;
+    word.raw += raw;
+  };
+  const flush = () => {
+    if (!word) return;
+    tokens.push({ type: 'word', ...word });
+    if (expectHeredoc) {
+      heredocs.push({ delimiter: word.value, stripTabs: expectHeredoc === '<<-' });
+      expectHeredoc = null;
+    }
+    word = null;
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (char === ' ' || char === '\t') {
+      flush();
+      i++;
+    } else if (char === '\n') {
+      flush();
+      tokens.push({ type: 'op', value: ';' });
+      i = skipHeredocBodies(input, i + 1, heredocs.splice(0));
+    } else if (char === '\\') {
+      if (input[i + 1] !== '\n') append(input[i + 1] ?? '', input.slice(i, i + 2));
+      i += 2;
+    } else if (char === '#' && !word) {
+      while (i < input.length && input[i] !== '\n') i++;
+    } else if (char === "'") {
+      const end = input.indexOf("'", i + 1);
+      if (end === -1) throw new Error('Unterminated single quote');
+      append(input.slice(i + 1, end), input.slice(i, end + 1));
+      i = end + 1;
+    } else if (char === '"') {
+      i = readDoubleQuoted(input, i, append, () => word);
+    } else if (char === '$' && input[i + 1] === '(') {
+      const end = findClosingParen(input, i + 1);
+      append(input.slice(i, end + 1));
+      // $(( arithmetic )) runs nothing
+      if (input[i + 2] !== '(') word.substitutions.push(input.slice(i + 2, end));
+      i = end + 1;
+    } else if (char === '`') {
+      const end = findBacktick(input, i);
+      append(input.slice(i, end + 1));
+      word.substitutions.push(input.slice(i + 1, end));
+      i = end + 1;
+    } else if ((char === '<' || char === '>') && input[i + 1] === '(') {
+      const end = findClosingParen(input, i + 1);
+      append(input.slice(i, end + 1));
+      word.substitutions.push(input.slice(i + 2, end));
+      i = end + 1;
+    } else {
+      const redirect = REDIRECTS.find(op => input.startsWith(op, i));
+      const operator = !redirect && OPERATORS.find(op => input.startsWith(op, i));
+
+      if (redirect) {
+        // Digits directly before a redirect are its fd (2>, 1>&2)
+        let fd = null;
+        if (word && /^\d+$/.test(word.raw)) {
+          fd = word.raw;
+          word = null;
+        }
+        flush();
+        tokens.push({ type: 'redirect', value: redirect, fd });
+        if (redirect === '<<' || redirect === '<<-') expectHeredoc = redirect;
+        i += redirect.length;
+      } else if (operator) {
+        flush();
+        tokens.push({ type: 'op', value: operator });
+        i += operator.length;
+      } else {
+        append(char);
+        i++;
+      }
+    }
+  }
+
+  flush();
+  return tokens;
+}
+
+function readDoubleQuoted(input, start, append, currentWord) {
+  append('', '"');
+  let i = start + 1;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (char === '"') {
+      append('', '"');
+      return i + 1;
+    }
+    if (char === '\\' && '$`"\\\n'.includes(input[i + 1])) {
+      if (input[i + 1] !== '\n') append(input[i + 1], input.slice(i, i + 2));
+      i += 2;
+    } else if (char === '$' && input[i + 1] === '(') {
+      const end = findClosingParen(input, i + 1);
+      append(input.slice(i, end + 1));
+      if (input[i + 2] !== '(') currentWord().substitutions.push(input.slice(i + 2, end));
+      i = end + 1;
+    } else if (char === '`') {
+      const end = findBacktick(input, i);
+      append(input.slice(i, end + 1));
+      currentWord().substitutions.push(input.slice(i + 1, end));
+      i = end + 1;
+    } else {
+      append(char);
+      i++;
+    }
+  }
+
+  throw new Error('Unterminated double quote');
+}
+
+/**
+ * Index of the ')' matching the '(' at `open`, skipping quoted text
+ */
+function findClosingParen(input, open) {
+  let depth = 0;
+
+  for (let i = open; i < input.length; i++) {
+    const char = input[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === "'") {
+      i = input.indexOf("'", i + 1);
+      if (i === -1) break;
+    } else if (char === '"') {
+      for (i++; i < input.length && input[i] !== '"'; i++) {
+        if (input[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return i;
+    }
+  }
+
+  throw new Error('Unterminated substitution or subshell');
+}
+
+function findBacktick(input, open) {
+  for (let i = open + 1; i < input.length; i++) {
+    if (input[i] === '\\') i++;
+    else if (input[i] === '`') return i;
+  }
+  throw new Error('Unterminated backtick substitution');
+}
+
+/**
+ * Skip heredoc bodies that start on the line after their `<<` redirect
+ */
+function skipHeredocBodies(input, start, heredocs) {
+  let i = start;
+
+  for (const { delimiter, stripTabs } of heredocs) {
+    while (i < input.length) {
+      const end = input.indexOf('\n', i);
+      const line = input.slice(i, end === -1 ? input.length : end);
+      i = end === -1 ? input.length : end + 1;
+      if ((stripTabs ? line.replace(/^\t+/, '') : line) === delimiter) break;
+    }
+  }
+
+  return i;
+}
+
+function parseSequence(state, inSubshell) {
+  const pipelines = [];
+
+  while (state.pos < state.tokens.length) {
+    const token = state.tokens[state.pos];
+
+    if (token.type === 'op' && LIST_OPERATORS.has(token.value)) {
+      state.pos++;
+    } else if (token.type === 'op' && token.value === ')') {
+      if (!inSubshell) throw new Error("Unexpected ')'");
+      state.pos++;
+      return pipelines;
+    } else {
+      const pipeline = parsePipeline(state);
+      if (pipeline.length > 0) pipelines.push(pipeline);
+    }
+  }
+
+  if (inSubshell) throw new Error('Unterminated subshell');
+  return pipelines;
+}
+
+function parsePipeline(state) {
+  const stages = [];
+
+  for (;;) {
+    const stage = parseStage(state);
+    // Each command can see everything piped into it
+    const upstream = stages.flat();
+    for (const command of stage) command.upstream.push(...upstream);
+    if (stage.length > 0) stages.push(stage);
+
+    const token = state.tokens[state.pos];
+    if (token?.type === 'op' && (token.value === '|' || token.value === '|&')) {
+      state.pos++;
+    } else {
+      return stages;
+    }
+  }
+}
+
+/**
+ * One pipeline stage: a simple command, or every command in a ( subshell )
+ */
+function parseStage(state) {
+  const first = state.tokens[state.pos];
+
+  if (first?.type === 'op' && first.value === '(') {
+    state.pos++;
+    const before = state.commands.length;
+    parseSequence(state, true);
+    // Redirects on the group itself are skipped
+    while (state.tokens[state.pos]?.type === 'redirect') state.pos += 2;
+    return state.commands.slice(before).filter(command => !command.nested);
+  }
+
+  const words = [];
+  const redirects = [];
+  while (state.pos < state.tokens.length) {
+    const token = state.tokens[state.pos];
+    if (token.type === 'op') break;
+
+    if (token.type === 'redirect') {
+      const target = state.tokens[state.pos + 1];
+      if (target?.type !== 'word') throw new Error(`Missing target for '${token.value}'`);
+      redirects.push({ op: token.value, fd: token.fd, target });
+      state.pos += 2;
+    } else {
+      words.push(token);
+      state.pos++;
+    }
+  }
+
+  if (words.length === 0 && redirects.length === 0) return [];
+  return [buildCommand(state, words, redirects)];
+}
+
+function buildCommand(state, words, redirects) {
+  const text = [
+    ...words.map(word => word.raw),
+    ...redirects.map(r => `${r.fd ?? ''}${r.op} ${r.target.raw}`)
+  ].join(' ');
+
+  const argv = words.map(word => word.value);
+  const wrappers = [];
+
+  skipAssignments(argv);
+  while (argv.length > 0 && WRAPPERS[basename(argv[0])]) {
+    const name = basename(argv.shift());
+    wrappers.push(name);
+    unwrap(argv, WRAPPERS[name]);
+  }
+
+  const command = {
+    text,
+    argv,
+    name: argv.length > 0 ? basename(argv[0]) : '',
+    args: argv.slice(1),
+    sudo: wrappers.some(name => WRAPPERS[name].privileged),
+    wrappers,
+    redirects: redirects.map(r => ({ op: r.op, fd: r.fd, target: r.target.value })),
+    substitutions: [],
+    script: [],
+    upstream: [],
+    nested: state.depth > 0
+  };
+  state.commands.push(command);
+
+  // Substitutions run before the command itself; their output feeds it
+  const sources = [...words, ...redirects.map(r => r.target)].flatMap(word => word.substitutions);
+  for (const source of sources) {
+    command.substitutions.push(...parseNested(state, source));
+  }
+
+  // sh -c 'script' runs the script as commands of its own
+  if (SHELLS.has(command.name)) {
+    const flag = command.args.findIndex(arg => /^-[a-zA-Z]*c[a-zA-Z]*$/.test(arg));
+    if (flag !== -1 && command.args[flag + 1] !== undefined) {
+      command.script.push(...parseNested(state, command.args[flag + 1]));
+    }
+  }
+
+  return command;
+}
+
+function parseNested(state, source) {
+  const nested = parseShell(source, state.depth + 1);
+  for (const command of nested.commands) command.nested = true;
+  state.commands.push(...nested.commands);
+  return nested.commands;
+}
+
+function unwrap(argv, wrapper) {
+  while (argv.length > 0 && argv[0].startsWith('-')) {
+    const option = argv.shift();
+    if (option === '--') break;
+    if ((wrapper.options || []).includes(option)) argv.shift();
+  }
+  if (wrapper.assignments) skipAssignments(argv);
+  argv.splice(0, wrapper.positional || 0);
+}
+
+function skipAssignments(argv) {
+  while (argv.length > 0 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(argv[0])) argv.shift();
+}
+
+function basename(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
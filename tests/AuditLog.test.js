@@ -0,0 +1,186 @@
+/**
+ * AuditLog Tests
+ *
+ * Hash chaining, rotation and queries on real log files, plus the records
+ * ValidationHooks writes.
+ */
+
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { AuditLog, parseSince } from '../src/core/AuditLog.js';
+import { ValidationHooks } from '../src/hooks/ValidationHooks.js';
+
+describe('AuditLog', () => {
+  let tmpDir;
+  let logFile;
+
+  const readLines = (file = logFile) => fs.readFileSync(file, 'utf-8').trim().split('\n');
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jlma-audit-'));
+    logFile = path.join(tmpDir, '.jlma', 'audit.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('chains records and continues the chain in a new instance', () => {
+    const first = new AuditLog({ path: logFile }).append({ tool: 'Read', decision: 'allow' });
+    const second = new AuditLog({ path: logFile }).append({ tool: 'Bash', decision: 'deny' });
+
+    expect(first).toMatchObject({ seq: 1, prevHash: '0'.repeat(64) });
+    expect(second).toMatchObject({ seq: 2, prevHash: first.hash });
+    expect(readLines()).toHaveLength(2);
+    expect(new AuditLog({ path: logFile }).verify()).toMatchObject({ valid: true, records: 2 });
+  });
+
+  test('verify detects edited and deleted records', () => {
+    const audit = new AuditLog({ path: logFile });
+    for (const decision of ['allow', 'deny', 'allow']) audit.append({ tool: 'Bash', decision });
+    const lines = readLines();
+
+    fs.writeFileSync(logFile, `${[lines[0], lines[1].replace('"deny"', '"allow"'), lines[2]].join('\n')}\n`);
+    expect(audit.verify()).toMatchObject({ valid: false, seq: 2, error: 'Record content does not match its hash' });
+
+    fs.writeFileSync(logFile, `${[lines[0], lines[2]].join('\n')}\n`);
+    expect(audit.verify()).toMatchObject({ valid: false, seq: 3, records: 1 });
+  });
+
+  test('concurrent writers in separate processes keep a single chain', async () => {
+    const moduleUrl = pathToFileURL(path.resolve('src/core/AuditLog.js')).href;
+    const writer = name => new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ['--input-type=module', '-e', `
+        const { AuditLog } = await import(${JSON.stringify(moduleUrl)});
+        const audit = new AuditLog({ path: ${JSON.stringify(logFile)} });
+        for (let i = 0; i < 50; i++) audit.append({ tool: ${JSON.stringify(name)}, decision: 'allow' });
+      `], { stdio: 'inherit', timeout: 30000 });
+      child.on('error', reject);
+      child.on('close', code => (code === 0 ? resolve() : reject(new Error(`${name} exited with ${code}`))));
+    });
+
+    await Promise.all([writer('Read'), writer('Bash')]);
+
+    expect(new AuditLog({ path: logFile }).verify()).toMatchObject({ valid: true, records: 100 });
+    expect(fs.existsSync(`${logFile}.lock`)).toBe(false);
+  });
+
+  test('breaks a lock left by a crashed writer', () => {
+    const audit = new AuditLog({ path: logFile });
+    fs.mkdirSync(path.dirname(logFile), { recursive: true });
+
+    // The holder has exited
+    fs.writeFileSync(audit.lockPath, String(spawnSync(process.execPath, ['-e', '']).pid));
+    const start = Date.now();
+    expect(audit.append({ tool: 'Read', decision: 'allow' }).seq).toBe(1);
+    expect(Date.now() - start).toBeLessThan(1000);
+
+    // The holder is alive but has held the lock far longer than an append takes
+    fs.writeFileSync(audit.lockPath, String(process.pid));
+    const past = new Date(Date.now() - 3000);
+    fs.utimesSync(audit.lockPath, past, past);
+    expect(audit.append({ tool: 'Bash', decision: 'deny' }).seq).toBe(2);
+    expect(fs.existsSync(audit.lockPath)).toBe(false);
+  });
+
+  test('rotates at maxFileSize, keeps maxFiles and chains across files', () => {
+    const audit = new AuditLog({ path: logFile, maxFileSize: 1024, maxFiles: 3 });
+    for (let i = 0; i < 20; i++) audit.append({ tool: 'Write', decision: 'allow', reason: 'x'.repeat(200) });
+
+    expect(audit.files().map(file => path.basename(file))).toEqual(['audit.2.jsonl', 'audit.1.jsonl', 'audit.jsonl']);
+    expect(fs.existsSync(path.join(tmpDir, '.jlma', 'audit.3.jsonl'))).toBe(false);
+    for (const file of audit.files()) expect(fs.statSync(file).size).toBeLessThanOrEqual(1024);
+
+    const records = audit.records();
+    expect(records[records.length - 1].seq).toBe(20);
+    expect(audit.verify()).toMatchObject({ valid: true, records: records.length });
+  });
+
+  test('queries by time, tool, decision and session', () => {
+    const audit = new AuditLog({ path: logFile });
+    audit.append({ timestamp: '2026-01-01T00:00:00.000Z', sessionId: 'a', tool: 'Bash', decision: 'deny' });
+    audit.append({ sessionId: 'a', tool: 'Bash', decision: 'allow' });
+    audit.append({ sessionId: 'b', tool: 'Edit', decision: 'deny' });
+
+    expect(audit.query({ decision: 'deny' }).map(r => r.seq)).toEqual([1, 3]);
+    expect(audit.query({ since: '1h', decision: 'deny' }).map(r => r.seq)).toEqual([3]);
+    expect(audit.query({ tool: 'Bash', session: 'a', limit: 1 }).map(r => r.seq)).toEqual([2]);
+    expect(audit.query({ since: '2025-12-31' })).toHaveLength(3);
+    expect(() => parseSince('yesterday')).toThrow("Invalid --since value 'yesterday'");
+  });
+
+  test('ValidationHooks records every decision without the tool input', async () => {
+    const hooks = new ValidationHooks({ auditLog: { enabled: true, path: logFile } });
+    const command = 'rm -rf /';
+    const content = 'const apiUrl = process.env.API_URL;';
+
+    await hooks.executePreToolUse('Bash', { command }, { sessionId: 'session-1' });
+    await hooks.executePostToolUse('Write', { file_path: 'src/app.js', content }, {});
+    await hooks.executeUserPromptSubmit('DB_PASSWORD=hunter2hunter2 why does login fail?');
+
+    const [pre, post, prompt] = hooks.auditLog.records();
+    expect(pre).toMatchObject({
+      sessionId: 'session-1',
+      phase: 'preToolUse',
+      tool: 'Bash',
+      decision: 'deny',
+      paramsHash: AuditLog.hashParams({ command })
+    });
+    expect(pre.hooks).toContainEqual(expect.objectContaining({ hookId: 'security-validation', decision: 'deny' }));
+    expect(pre.interventions[0]).toMatchObject({ hookId: 'security-validation', severity: 'CRITICAL' });
+    expect(post).toMatchObject({ phase: 'postToolUse', tool: 'Write', file: 'src/app.js', decision: 'allow' });
+    expect(prompt).toMatchObject({ phase: 'userPromptSubmit', tool: null, decision: 'allow' });
+    expect(prompt.mutations[0]).toMatchObject({ hookId: 'prompt-secrets' });
+    expect(fs.readFileSync(logFile, 'utf-8')).not.toContain(content);
+    expect(fs.readFileSync(logFile, 'utf-8')).not.toContain('hunter2');
+  });
+
+  test('hashes the rewritten input as well as the original', async () => {
+    const hooks = new ValidationHooks({ enabledHooks: ['prompt'], auditLog: { enabled: true, path: logFile } });
+    hooks.registerPreToolUse('interactive-rm', async (toolName, params) => (
+      /^rm -rf /.test(params.command) ? { allowed: true, updatedParams: { command: 'rm -rI dist' } } : { allowed: true }
+    ));
+
+    await hooks.executePreToolUse('Bash', { command: 'rm -rf dist' });
+    await hooks.executePreToolUse('Bash', { command: 'ls' });
+    await hooks.executeUserPromptSubmit('DB_PASSWORD=hunter2hunter2 why does login fail?');
+
+    const [rewritten, unchanged, prompt] = hooks.auditLog.records();
+    expect(rewritten).toMatchObject({
+      paramsHash: AuditLog.hashParams({ command: 'rm -rf dist' }),
+      updatedParamsHash: AuditLog.hashParams({ command: 'rm -rI dist' })
+    });
+    expect(unchanged).not.toHaveProperty('updatedParamsHash');
+    expect(prompt.updatedParamsHash).toEqual(expect.any(String));
+    expect(prompt.updatedParamsHash).not.toBe(prompt.paramsHash);
+  });
+
+  test('records the findings inline directives waived', async () => {
+    const file = path.join(tmpDir, 'fixtures.js');
+    const content = '// jlma-ignore-next-line -- fixture\nconst password = "super_secret_123";\n';
+    fs.writeFileSync(file, content);
+    const hooks = new ValidationHooks({ auditLog: { enabled: true, path: logFile }, pathPolicy: { root: tmpDir } });
+
+    await hooks.executePreToolUse('Write', { file_path: file, content });
+
+    const [record] = hooks.auditLog.records();
+    expect(record.decision).toBe('allow');
+    expect(record.suppressed).toEqual([expect.objectContaining({ hookId: 'security-validation', reason: 'fixture' })]);
+  });
+
+  test('a failing audit log is reported without failing the tool call', async () => {
+    fs.writeFileSync(path.join(tmpDir, '.jlma'), 'not a directory');
+    const hooks = new ValidationHooks({ auditLog: { enabled: true, path: logFile } });
+    const errors = [];
+    hooks.on('auditError', error => errors.push(error));
+
+    const result = await hooks.executePreToolUse('Read', { file_path: 'README.md' });
+
+    expect(result.allowed).toBe(true);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].phase).toBe('preToolUse');
+  });
+});
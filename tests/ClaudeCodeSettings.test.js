@@ -0,0 +1,124 @@
+/**
+ * ClaudeCodeSettings Tests
+ *
+ * Hook install/uninstall against real settings files in temp directories.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ClaudeCodeSettings } from '../src/adapters/ClaudeCodeSettings.js';
+
+describe('ClaudeCodeSettings', () => {
+  let tmpDir;
+  let settingsFile;
+
+  const existing = {
+    permissions: { allow: ['Bash(npm test:*)'] },
+    hooks: {
+      PreToolUse: [{ matcher: 'Bash', hooks: [{ type: 'command', command: './audit.sh' }] }],
+      PostToolUse: [{ matcher: 'Write|Edit|MultiEdit|NotebookEdit', hooks: [{ type: 'command', command: 'prettier --write' }] }],
+      Notification: [{ hooks: [{ type: 'command', command: 'notify-send done' }] }]
+    }
+  };
+
+  const readSettings = () => JSON.parse(fs.readFileSync(settingsFile, 'utf-8'));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jlma-settings-'));
+    settingsFile = path.join(tmpDir, '.claude', 'settings.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('creates project settings with the hook entries', () => {
+    const settings = new ClaudeCodeSettings({ cwd: tmpDir });
+    settings.apply(settings.planInstall());
+
+    expect(readSettings()).toEqual({
+      hooks: {
+        PreToolUse: [{
+          matcher: 'Read|Grep|Glob|Write|Edit|MultiEdit|NotebookEdit|Bash',
+          hooks: [{ type: 'command', command: 'npx jlma-cfes hook PreToolUse' }]
+        }],
+        PostToolUse: [{
+          matcher: 'Write|Edit|MultiEdit|NotebookEdit',
+          hooks: [{ type: 'command', command: 'npx jlma-cfes hook PostToolUse' }]
+        }],
+        UserPromptSubmit: [{
+          hooks: [{ type: 'command', command: 'npx jlma-cfes hook UserPromptSubmit' }]
+        }],
+        Stop: [{
+          hooks: [{ type: 'command', command: 'npx jlma-cfes hook Stop' }]
+        }],
+        SubagentStop: [{
+          hooks: [{ type: 'command', command: 'npx jlma-cfes hook SubagentStop' }]
+        }]
+      }
+    });
+  });
+
+  test('merges into existing hooks and installs only once', () => {
+    fs.mkdirSync(path.dirname(settingsFile));
+    fs.writeFileSync(settingsFile, JSON.stringify(existing));
+    const settings = new ClaudeCodeSettings({ cwd: tmpDir });
+
+    settings.apply(settings.planInstall());
+    const installed = readSettings();
+
+    expect(installed.permissions).toEqual(existing.permissions);
+    expect(installed.hooks.Notification).toEqual(existing.hooks.Notification);
+    expect(installed.hooks.PreToolUse.map(group => group.matcher)).toEqual(['Bash', 'Read|Grep|Glob|Write|Edit|MultiEdit|NotebookEdit|Bash']);
+    // Same matcher: the existing group gains the hook
+    expect(installed.hooks.PostToolUse).toHaveLength(1);
+    expect(installed.hooks.PostToolUse[0].hooks.map(hook => hook.command))
+      .toEqual(['prettier --write', 'npx jlma-cfes hook PostToolUse']);
+
+    expect(settings.planInstall().changed).toBe(false);
+  });
+
+  test('uninstall removes exactly what install added', () => {
+    fs.mkdirSync(path.dirname(settingsFile));
+    fs.writeFileSync(settingsFile, JSON.stringify(existing));
+    const settings = new ClaudeCodeSettings({ cwd: tmpDir });
+
+    settings.apply(settings.planInstall());
+    const plan = settings.planUninstall();
+    settings.apply(plan);
+
+    expect(plan.changes.map(change => change.event)).toEqual(['PreToolUse', 'PostToolUse', 'UserPromptSubmit', 'Stop', 'SubagentStop']);
+    expect(readSettings()).toEqual(existing);
+    expect(settings.planUninstall().changed).toBe(false);
+  });
+
+  test('uninstall drops the hooks object it created', () => {
+    fs.mkdirSync(path.dirname(settingsFile));
+    fs.writeFileSync(settingsFile, JSON.stringify({ model: 'sonnet' }));
+    const settings = new ClaudeCodeSettings({ cwd: tmpDir });
+
+    settings.apply(settings.planInstall());
+    settings.apply(settings.planUninstall());
+
+    expect(readSettings()).toEqual({ model: 'sonnet' });
+  });
+
+  test('dry-run diff shows the added lines without writing', () => {
+    const settings = new ClaudeCodeSettings({ scope: 'user', home: tmpDir });
+    const diff = ClaudeCodeSettings.diff(settings.planInstall());
+
+    expect(settings.path).toBe(settingsFile);
+    expect(diff.split('\n')[0]).toBe('--- /dev/null');
+    expect(diff).toContain('+         "matcher": "Read|Grep|Glob|Write|Edit|MultiEdit|NotebookEdit|Bash",');
+    expect(fs.existsSync(settingsFile)).toBe(false);
+  });
+
+  test('refuses settings files it cannot merge into', () => {
+    fs.mkdirSync(path.dirname(settingsFile));
+    fs.writeFileSync(settingsFile, '{ "hooks": ');
+
+    expect(() => new ClaudeCodeSettings({ cwd: tmpDir }).planInstall()).toThrow(`Failed to read ${settingsFile}`);
+    expect(() => new ClaudeCodeSettings({ scope: 'global' })).toThrow("Invalid settings scope 'global'");
+  });
+});
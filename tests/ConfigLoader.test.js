@@ -0,0 +1,126 @@
+/**
+ * ConfigLoader Tests
+ *
+ * Verifies layered config resolution and schema validation against real
+ * files in a temporary project directory.
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ConfigLoader } from '../src/core/ConfigLoader.js';
+
+describe('ConfigLoader', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'jlma-config-'));
+  });
+
+  afterEach(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('resolves built-in defaults into flat options', async () => {
+    const { config, options, sources } = await new ConfigLoader({ cwd: projectDir, env: {} }).load();
+
+    expect(config.validation.strictMode).toBe(false);
+    expect(options.performanceThreshold).toBe(1.0);
+    expect(options.enabledHooks).toEqual(['security', 'paths', 'performance', 'quality', 'prompt', 'completion']);
+    expect(options.responseTimeThreshold).toBe(100);
+    expect(sources.map(s => s.name)).toEqual(['defaults']);
+  });
+
+  test('merges project file, env and options in precedence order', async () => {
+    writeFileSync(join(projectDir, '.jlmarc.json'), JSON.stringify({
+      'jlma-cfes': {
+        validation: { strictMode: true, engine: 'ast' },
+        performance: { preToolUseThreshold: 2 },
+        hooks: { enabled: ['security'] }
+      }
+    }));
+
+    const loader = new ConfigLoader({
+      cwd: projectDir,
+      env: { JLMA_PERFORMANCE_THRESHOLD: '3', JLMA_ENGINE: 'regex' }
+    });
+    const { config, options, sources } = await loader.load({ engine: 'auto' });
+
+    expect(options.strictMode).toBe(true); // project file
+    expect(options.enabledHooks).toEqual(['security']); // project file
+    expect(options.performanceThreshold).toBe(3); // env beats project
+    expect(config.validation.engine).toBe('auto'); // options beat env
+    expect(sources.map(s => s.name)).toEqual(['defaults', 'project', 'env', 'options']);
+  });
+
+  test('loads jlma.config.js and keeps unmapped constructor options', async () => {
+    writeFileSync(
+      join(projectDir, 'jlma.config.js'),
+      'export default { hooks: { priorities: { quality: "LOW" } } };'
+    );
+
+    const { options } = await new ConfigLoader({ cwd: projectDir, env: {} })
+      .load({ sessionId: 'abc' });
+
+    expect(options.hookPriorities).toEqual({ security: 'CRITICAL', paths: 'CRITICAL', performance: 'HIGH', quality: 'LOW', prompt: 'CRITICAL', completion: 'HIGH' });
+    expect(options.sessionId).toBe('abc');
+  });
+
+  test('coerces environment variables by schema type', async () => {
+    const { options } = await new ConfigLoader({
+      cwd: projectDir,
+      env: { JLMA_STRICT_MODE: 'yes', JLMA_ENABLED_HOOKS: 'security, quality' }
+    }).load();
+
+    expect(options.strictMode).toBe(true);
+    expect(options.enabledHooks).toEqual(['security', 'quality']);
+  });
+
+  test('reports every schema error with its path', async () => {
+    writeFileSync(join(projectDir, '.jlmarc.json'), JSON.stringify({
+      validation: { strictMode: 'yes', engine: 'fast' },
+      truthScoring: { threshold: 2 },
+      monitorng: {}
+    }));
+
+    const loader = new ConfigLoader({ cwd: projectDir, env: { JLMA_HISTORY_SIZE: 'lots' } });
+    const error = await loader.load().catch(e => e);
+
+    expect(error.message).toContain('validation.strictMode: expected boolean, got string "yes"');
+    expect(error.message).toContain('validation.engine: must be one of auto, regex, ast, got "fast"');
+    expect(error.message).toContain('truthScoring.threshold: must be between 0 and 1, got 2');
+    expect(error.message).toContain('monitorng: unknown key');
+    expect(error.message).toContain('monitoring.historySize: expected number, got string "lots"');
+  });
+
+  test('compiles rules from config and loads rule packs', async () => {
+    writeFileSync(join(projectDir, 'pack.mjs'), `
+      export default [
+        { id: 'pack_rule', category: 'quality', regex: /FIXME/ }
+      ];
+    `);
+    writeFileSync(join(projectDir, '.jlmarc.json'), JSON.stringify({
+      validation: {
+        rules: [{ id: 'no_legacy_auth', category: 'security', pattern: 'legacyAuth\\(', flags: 'i' }],
+        rulePacks: ['./pack.mjs']
+      }
+    }));
+
+    const { rules } = await new ConfigLoader({ cwd: projectDir, env: {} }).load();
+
+    expect(rules.map(r => r.id)).toEqual(['no_legacy_auth', 'pack_rule']);
+    expect(rules[0].regex.test('LEGACYAUTH(x)')).toBe(true);
+  });
+
+  test('skips project files and env when discovery is off', async () => {
+    writeFileSync(join(projectDir, '.jlmarc.json'), JSON.stringify({ validation: { strictMode: true } }));
+
+    const { options } = await new ConfigLoader({
+      cwd: projectDir,
+      env: { JLMA_STRICT_MODE: 'true' },
+      discover: false
+    }).load();
+
+    expect(options.strictMode).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * FileScanner Tests
+ *
+ * Expands real directory trees in a temporary project: directories,
+ * globs, .gitignore files and ignore patterns, plus `jlma-cfes validate`.
+ */
+
+import { spawnSync } from 'child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join, relative, resolve } from 'path';
+import { FileScanner, globToRegExp } from '../src/core/FileScanner.js';
+import { detectLanguage } from '../src/validators/languages.js';
+
+describe('FileScanner', () => {
+  let projectDir;
+
+  const write = (path, content = '') => {
+    const fullPath = join(projectDir, path);
+    mkdirSync(dirname(fullPath), { recursive: true });
+    writeFileSync(fullPath, content);
+  };
+
+  const scan = (targets, options = {}) => {
+    const result = new FileScanner({ cwd: projectDir, ...options }).scan(targets);
+    return { ...result, files: result.files.map(f => relative(projectDir, f).split('\\').join('/')) };
+  };
+
+  beforeEach(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'jlma-scan-'));
+    write('src/app.js');
+    write('src/view.tsx');
+    write('src/notes.txt');
+    write('src/config.json');
+    write('src/gen/out.gen.js');
+    write('lib/util/strings.ts');
+    write('lib/util/strings.test.ts');
+    write('dist/bundle.js');
+    write('node_modules/pkg/index.js');
+  });
+
+  afterEach(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('walks directories for supported files, skipping node_modules', () => {
+    const { files } = scan(['.']);
+
+    expect(files).toEqual([
+      'dist/bundle.js',
+      'lib/util/strings.test.ts',
+      'lib/util/strings.ts',
+      'src/app.js',
+      'src/config.json',
+      'src/gen/out.gen.js',
+      'src/view.tsx'
+    ]);
+  });
+
+  test('honors root and nested .gitignore files, including negation', () => {
+    write('.gitignore', 'dist/\n*.gen.js\n# comment\n');
+    write('src/gen/.gitignore', '!out.gen.js\n');
+    write('src/gen/other.gen.js');
+
+    const { files } = scan(['.']);
+
+    expect(files).toContain('src/gen/out.gen.js');
+    expect(files).not.toContain('src/gen/other.gen.js');
+    expect(files).not.toContain('dist/bundle.js');
+  });
+
+  test('applies parent .gitignore files when scanning a subdirectory', () => {
+    write('.gitignore', '/src/gen/\n');
+
+    expect(scan(['src']).files).toEqual(['src/app.js', 'src/config.json', 'src/view.tsx']);
+  });
+
+  test('expands globs and applies ignore patterns', () => {
+    const { files } = scan(['lib/**/*.ts'], { ignore: ['*.test.ts'] });
+
+    expect(files).toEqual(['lib/util/strings.ts']);
+  });
+
+  test('always includes explicit files and reports missing targets', () => {
+    const { files, missing } = scan(['src/notes.txt', 'missing.js', 'nothing/**/*.js']);
+
+    expect(files).toEqual(['src/notes.txt']);
+    expect(missing).toEqual(['missing.js', 'nothing/**/*.js']);
+  });
+
+  test('globToRegExp supports **, braces and classes', () => {
+    expect(globToRegExp('**/*.{js,ts}').test('a/b/c.ts')).toBe(true);
+    expect(globToRegExp('**/*.{js,ts}').test('c.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/a/b.js')).toBe(false);
+    expect(globToRegExp('file[!0-9].js').test('fileA.js')).toBe(true);
+  });
+
+  test('detects language from the file extension', () => {
+    expect(detectLanguage('src/view.tsx')).toBe('tsx');
+    expect(detectLanguage('tools/build.PY')).toBe('py');
+    expect(detectLanguage('README.md')).toBeNull();
+  });
+
+  test('validate --json reports the verdict its exit code follows', () => {
+    write('src/poll.js', [
+      'async function load() {',
+      '  return await fetch("http://localhost:8080/api");',
+      '}',
+      'window.addEventListener("resize", load);'
+    ].join('\n'));
+
+    const result = spawnSync(process.execPath, [resolve('bin/cli.js'), 'validate', 'src/poll.js', '--json'], {
+      cwd: projectDir,
+      encoding: 'utf-8',
+      timeout: 30000
+    });
+    const output = JSON.parse(result.stdout);
+
+    expect(result.status).toBe(1);
+    expect(output).toMatchObject({ file: 'src/poll.js', passed: false, pre: { passed: true }, post: { passed: false } });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * PathPolicy Tests
+ *
+ * Tool paths against a real project directory with symlinks, plus the
+ * path-policy pre-hook.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PathPolicy, compilePathPattern } from '../src/validators/PathPolicy.js';
+import { ValidationHooks } from '../src/hooks/ValidationHooks.js';
+
+describe('PathPolicy', () => {
+  let tmpDir;
+  let root;
+  let policy;
+
+  const decide = (toolName, file, target = policy) => target.evaluate(toolName, { file_path: file });
+
+  beforeEach(() => {
+    tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jlma-paths-')));
+    root = path.join(tmpDir, 'project');
+    fs.mkdirSync(path.join(root, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(root, '.env'), 'API_KEY=x\n');
+    fs.symlinkSync(path.join(root, '.env'), path.join(root, 'src', 'settings.txt'));
+    fs.symlinkSync(tmpDir, path.join(root, 'parent'));
+    policy = new PathPolicy({ root });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('denies reading .env and key files, but not their examples', () => {
+    expect(decide('Read', '.env').rule).toBe('env_file');
+    expect(decide('Read', 'config/.env.production').rule).toBe('env_file');
+    expect(decide('Read', '~/.ssh/id_ed25519').rule).toBe('private_key');
+    expect(decide('Read', 'certs/server.pem').rule).toBe('private_key');
+    expect(decide('Read', '.env.example').decision).toBe('allow');
+    expect(decide('Read', 'keys/id_rsa.pub').decision).toBe('allow');
+  });
+
+  test('normalizes .. segments and follows symlinks', () => {
+    expect(decide('Read', 'src/../.env').rule).toBe('env_file');
+    expect(decide('Read', 'src/settings.txt')).toMatchObject({
+      decision: 'deny',
+      rule: 'env_file',
+      reason: `Environment file with secrets: src/settings.txt (resolves to ${path.join(root, '.env')})`
+    });
+  });
+
+  test('denies writes into node_modules, .git and outside the project', () => {
+    expect(decide('Edit', 'node_modules/lodash/index.js').rule).toBe('dependency_dir');
+    expect(decide('Write', '.git/hooks/pre-commit').rule).toBe('dependency_dir');
+    expect(decide('Write', '../elsewhere.js')).toMatchObject({ rule: 'outside_project', severity: 'CRITICAL' });
+    expect(decide('Write', 'parent/elsewhere.js').rule).toBe('outside_project');
+    expect(decide('Read', 'node_modules/lodash/index.js').decision).toBe('allow');
+    expect(decide('Write', path.join(root, 'src', 'app.js')).decision).toBe('allow');
+  });
+
+  test('denies writes to the hooks\' own config, baseline, settings and audit log', () => {
+    for (const file of [
+      '.jlmarc.json', 'jlma.config.js', '.jlma-baseline.json', '.claude/settings.json',
+      '.claude/settings.local.json', '.jlma/audit.jsonl', '.jlma/audit.2.jsonl', '.jlma/audit.jsonl.lock'
+    ]) {
+      expect(decide('Write', file)).toMatchObject({ rule: 'control_file', severity: 'CRITICAL' });
+    }
+    expect(decide('Read', '.jlmarc.json').decision).toBe('allow');
+    expect(decide('Write', 'src/.jlmarc.json').decision).toBe('allow');
+  });
+
+  test('protects the configured baseline and audit log in the hook', async () => {
+    const hooks = new ValidationHooks({
+      pathPolicy: { root },
+      validatorOptions: { baseline: path.join(root, 'ci', 'known.json') },
+      auditLog: { enabled: true, path: path.join(root, 'logs', 'hooks.jsonl') }
+    });
+    const write = (file) => hooks.executePreToolUse('Write', { file_path: file, content: '{}' }, { cwd: root });
+
+    expect((await write('ci/known.json')).interventions[0].findings[0].rule).toBe('control_file');
+    expect((await write('logs/hooks.1.jsonl')).decision).toBe('deny');
+    expect((await write('logs/other.jsonl')).decision).toBe('allow');
+  });
+
+  test('applies config patterns per tool and operation, deny before allow', () => {
+    const custom = new PathPolicy({
+      root,
+      deny: ['Read(secrets/**)', 'write(docs/generated)', '*.sqlite'],
+      allow: [`Write(${tmpDir}/shared/**)`, 'secrets/public.json']
+    });
+
+    expect(decide('Read', 'secrets/prod/db.json', custom).rule).toBe('Read(secrets/**)');
+    expect(decide('Write', 'secrets/prod/db.json', custom).decision).toBe('allow');
+    expect(decide('Edit', 'docs/generated/api.md', custom).rule).toBe('write(docs/generated)');
+    expect(decide('Read', 'docs/generated/api.md', custom).decision).toBe('allow');
+    expect(decide('Read', 'data/app.sqlite', custom).decision).toBe('deny');
+    expect(decide('Read', 'secrets/public.json', custom).decision).toBe('deny');
+    expect(decide('Write', `${tmpDir}/shared/out.js`, custom).decision).toBe('allow');
+    expect(decide('Write', `${tmpDir}/other/out.js`, custom).rule).toBe('outside_project');
+  });
+
+  test('checks path parameters of search and notebook tools', () => {
+    expect(policy.evaluate('Grep', { pattern: 'KEY', path: '.env' }).decision).toBe('deny');
+    expect(policy.evaluate('NotebookEdit', { notebook_path: '../nb.ipynb', new_source: '' }).rule).toBe('outside_project');
+    expect(policy.evaluate('Glob', { pattern: '**/*.js' }).decision).toBe('allow');
+    expect(policy.evaluate('Bash', { command: 'cat .env' }).decision).toBe('allow');
+  });
+
+  test('rejects patterns for unknown tools', () => {
+    expect(compilePathPattern('Edit(src/**)').selector).toBe('Edit');
+    expect(() => compilePathPattern('Delete(src/**)')).toThrow("Unknown tool or operation 'Delete'");
+  });
+
+  test('path-policy hook blocks denied paths with a CRITICAL intervention', async () => {
+    const hooks = new ValidationHooks({ pathPolicy: { root } });
+
+    const denied = await hooks.executePreToolUse('Read', { file_path: '.env' }, { cwd: root });
+    const allowed = await hooks.executePreToolUse('Read', { file_path: 'src/index.js' }, { cwd: root });
+
+    expect(denied.allowed).toBe(false);
+    expect(denied.interventions[0]).toMatchObject({
+      hookId: 'path-policy',
+      decision: 'deny',
+      severity: 'CRITICAL',
+      reason: 'Environment file with secrets: .env'
+    });
+    expect(denied.interventions[0].findings[0].rule).toBe('env_file');
+    expect(allowed.allowed).toBe(true);
+  });
+});
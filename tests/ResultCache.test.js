@@ -0,0 +1,128 @@
+/**
+ * ResultCache Tests
+ *
+ * Exercises the LRU and on-disk layers directly, and the cache as used by
+ * PatternValidator: hits, metrics and invalidation on rule/config changes.
+ */
+
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ResultCache } from '../src/validators/ResultCache.js';
+import { PatternValidator } from '../src/validators/PatternValidator.js';
+import { Baseline } from '../src/validators/Baseline.js';
+
+const code = 'const password = "super_secret_123";\nsetInterval(tick, 1000);';
+
+describe('ResultCache', () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = mkdtempSync(join(tmpdir(), 'jlma-cache-'));
+  });
+
+  afterEach(() => {
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test('evicts the least recently used entry', () => {
+    const cache = new ResultCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('a')).toBe(1);
+    expect(cache.getStats()).toMatchObject({ size: 2, evictions: 1, hits: 2, misses: 1, hitRate: '66.7%' });
+  });
+
+  test('returns cached results as copies flagged cached', async () => {
+    const validator = new PatternValidator();
+
+    const first = await validator.validatePre(code);
+    first.violations.length = 0;
+    const second = await validator.validatePre(code);
+
+    expect(first.cached).toBeUndefined();
+    expect(second.cached).toBe(true);
+    expect(second.violations).toHaveLength(1);
+    expect(validator.getMetrics()).toMatchObject({
+      checksRun: 2,
+      cache: { hits: 1, misses: 1, hitRate: '50.0%', evictions: 0 }
+    });
+  });
+
+  test('caches post-validation and honors cache: false', async () => {
+    const validator = new PatternValidator();
+
+    await validator.validatePost({ code });
+    const cached = await validator.validatePost({ code });
+    const bypassed = await validator.validatePost({ code }, { cache: false });
+
+    expect(cached.cached).toBe(true);
+    expect(bypassed.cached).toBeUndefined();
+    expect(bypassed.qualityScore).toBe(cached.qualityScore);
+  });
+
+  test('rule, baseline and option changes invalidate cached results', async () => {
+    const validator = new PatternValidator();
+    await validator.validatePre(code);
+
+    validator.registerRule({ id: 'no_tick', category: 'security', severity: 'CRITICAL', regex: /tick/ });
+    const withRule = await validator.validatePre(code);
+    expect(withRule.cached).toBeUndefined();
+    expect(withRule.violations.map(v => v.type)).toContain('no_tick');
+
+    validator.unregisterRule('no_tick');
+    expect((await validator.validatePre(code)).violations.map(v => v.type)).not.toContain('no_tick');
+
+    validator.setBaseline(new Baseline({}, { root: '/project' }).add('/project/a.js', 'pre', withRule.violations));
+    const baselined = await validator.validatePre(code, { file: '/project/a.js' });
+    expect(baselined.cached).toBeUndefined();
+    expect(baselined.violations).toEqual([]);
+
+    validator.options.strictMode = true;
+    expect((await validator.validatePre(code, { file: '/project/a.js' })).cached).toBeUndefined();
+  });
+
+  test('on-disk entries are reused by a new validator', async () => {
+    await new PatternValidator({ cacheDir }).validatePre(code);
+    expect(readdirSync(cacheDir).filter(name => name.endsWith('.json'))).toHaveLength(1);
+
+    const validator = new PatternValidator({ cacheDir });
+    const result = await validator.validatePre(code);
+
+    expect(result.cached).toBe(true);
+    expect(validator.getMetrics().cache).toMatchObject({ diskHits: 1, hits: 1 });
+
+    validator.clearCache();
+    expect(readdirSync(cacheDir)).toEqual([]);
+  });
+
+  test('metrics count cache hits like fresh checks', async () => {
+    const counts = async (options) => {
+      const validator = new PatternValidator(options);
+      const suppressed = `// jlma-ignore-next-line -- fixture\n${code}`;
+      for (let i = 0; i < 2; i++) {
+        await validator.validatePre(code);
+        await validator.validatePre(suppressed, { file: 'src/a.js' });
+        await validator.validatePost({ code: suppressed });
+      }
+      const { checksRun, violationsFound, suppressedFound, baselinedFound, shadowFound } = validator.getMetrics();
+      return { checksRun, violationsFound, suppressedFound, baselinedFound, shadowFound };
+    };
+
+    const cached = await counts({});
+    expect(cached).toEqual(await counts({ cacheSize: 0 }));
+    expect(cached).toMatchObject({ checksRun: 6, violationsFound: 2, suppressedFound: 2 });
+  });
+
+  test('cacheSize 0 disables caching', async () => {
+    const validator = new PatternValidator({ cacheSize: 0 });
+    await validator.validatePre(code);
+
+    expect((await validator.validatePre(code)).cached).toBeUndefined();
+    expect(validator.getMetrics().cache).toMatchObject({ enabled: false, hits: 0, misses: 0 });
+  });
+});
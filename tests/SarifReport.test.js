@@ -0,0 +1,99 @@
+/**
+ * SarifReport Tests
+ *
+ * Builds SARIF logs from real validation results and checks the parts
+ * code scanning tools rely on: rule metadata, levels, regions and
+ * suppressions.
+ */
+
+import { PatternValidator } from '../src/validators/PatternValidator.js';
+import { TruthScoring } from '../src/validators/TruthScoring.js';
+import { SarifReport } from '../src/validators/SarifReport.js';
+
+describe('SarifReport', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new PatternValidator();
+  });
+
+  test('emits a SARIF 2.1.0 log with rule metadata', async () => {
+    const result = await validator.validatePre('const password = "super_secret_123";');
+    const log = new SarifReport({ root: '/project' })
+      .addValidation(result, '/project/src/app.js')
+      .toJSON();
+
+    expect(log.version).toBe('2.1.0');
+    expect(log.runs).toHaveLength(1);
+
+    const [rule] = log.runs[0].tool.driver.rules;
+    expect(rule.id).toBe('hardcoded_secret');
+    expect(rule.help.text).toMatch(/environment variables/);
+    expect(rule.defaultConfiguration.level).toBe('error');
+    expect(rule.properties.tags).toEqual(['security', 'external/cwe/cwe-798']);
+    expect(rule.properties['security-severity']).toBe('9.5');
+  });
+
+  test('emits one result per location with a region', async () => {
+    const code = 'a.innerHTML = x;\nb.innerHTML = y;';
+    const result = await validator.validatePre(code);
+    const { results } = new SarifReport({ root: '/project' })
+      .addValidation(result, '/project/src/view.js')
+      .toJSON().runs[0];
+
+    expect(results).toHaveLength(2);
+    const [first, second] = results.map(r => r.locations[0].physicalLocation);
+    expect(first.artifactLocation).toEqual({ uri: 'src/view.js', uriBaseId: '%SRCROOT%' });
+    expect(first.region).toEqual({ startLine: 1, startColumn: 2, endLine: 1, endColumn: 14 });
+    expect(second.region.startLine).toBe(2);
+    expect(results[0].partialFingerprints['jlmaFingerprint/v1']).not.toBe(
+      results[1].partialFingerprints['jlmaFingerprint/v1']
+    );
+  });
+
+  test('keeps suppressed findings as in-source suppressions', async () => {
+    const code = 'setInterval(tick, 1000); // jlma-ignore-line -- process-lifetime timer';
+    const result = await validator.validatePost({ code });
+    const [sarifResult] = new SarifReport().addValidation(result, 'timer.js').toJSON().runs[0].results;
+
+    expect(sarifResult.ruleId).toBe('potential_memory_leak');
+    expect(sarifResult.suppressions).toEqual([
+      { kind: 'inSource', justification: 'process-lifetime timer' }
+    ]);
+  });
+
+  test('describes custom rules from their definition', async () => {
+    validator.registerRule({
+      id: 'acme/no-legacy-auth',
+      category: 'security',
+      severity: 'HIGH',
+      regex: /legacyAuth\(/,
+      message: 'legacyAuth() is deprecated',
+      suggestion: 'Use auth.v2()'
+    });
+
+    const result = await validator.validatePre('legacyAuth(user);');
+    const { tool, results } = new SarifReport().addValidation(result).toJSON().runs[0];
+
+    expect(tool.driver.rules[0]).toMatchObject({
+      id: 'acme/no-legacy-auth',
+      name: 'AcmeNoLegacyAuth',
+      help: { text: 'Use auth.v2()' },
+      defaultConfiguration: { level: 'error' }
+    });
+    expect(results[0].ruleId).toBe('acme/no-legacy-auth');
+    expect(results[0].locations).toBeUndefined();
+  });
+
+  test('TruthScoring exports scored findings as SARIF', async () => {
+    const scoring = new TruthScoring();
+    await scoring.calculateScore('eval(input);', { file: '/project/lib/run.js' });
+
+    const log = scoring.export('sarif', { root: '/project' });
+    const [result] = log.runs[0].results;
+
+    expect(log.version).toBe('2.1.0');
+    expect(result.ruleId).toBe('xss_vulnerability');
+    expect(result.locations[0].physicalLocation.artifactLocation.uri).toBe('lib/run.js');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * ShadowReport Tests
+ *
+ * Shadow-mode hooks and rules through ValidationHooks, and the report
+ * comparing them with enforced decisions.
+ */
+
+import { ValidationHooks } from '../src/hooks/ValidationHooks.js';
+import { ShadowReport } from '../src/hooks/ShadowReport.js';
+
+describe('ShadowReport', () => {
+  const injection = { file_path: 'src/db.js', content: 'const query = "SELECT * FROM users WHERE id = " + req.params.id;' };
+  const secret = { file_path: 'src/keys.js', content: 'const password = "super_secret_123";' };
+
+  test('shadow hooks record their decision without changing the result', async () => {
+    const hooks = new ValidationHooks();
+    hooks.registerPreToolUse('no-todo', async (toolName, params) => (
+      params.content?.includes('TODO') ? { allowed: false, reason: 'TODO left in code', severity: 'LOW' } : { allowed: true }
+    ), { mode: 'shadow' });
+
+    const result = await hooks.executePreToolUse('Write', { file_path: 'a.js', content: '// TODO: later' });
+
+    expect(result.allowed).toBe(true);
+    expect(result.interventions).toHaveLength(0);
+    expect(result.shadow).toEqual([
+      { hookId: 'no-todo', rule: null, decision: 'deny', reason: 'TODO left in code', severity: 'LOW' }
+    ]);
+    expect(result.hookDecisions).toContainEqual(expect.objectContaining({ hookId: 'no-todo', decision: 'deny', mode: 'shadow' }));
+    expect(() => hooks.registerPreToolUse('bad', () => null, { mode: 'dry-run' })).toThrow("Invalid mode 'dry-run'");
+  });
+
+  test('shadow rules surface through the security hook', async () => {
+    const hooks = new ValidationHooks({ shadowRules: ['sql_injection'] });
+
+    const result = await hooks.executePreToolUse('Write', injection);
+
+    expect(result.allowed).toBe(true);
+    expect(result.shadow[0]).toMatchObject({
+      hookId: 'security-validation',
+      rule: 'sql_injection',
+      decision: 'deny',
+      severity: 'CRITICAL'
+    });
+  });
+
+  test('default hooks listed in shadowHooks only report', async () => {
+    const hooks = new ValidationHooks({ shadowHooks: ['quality'] });
+
+    const result = await hooks.executePostToolUse('Write', { file_path: 'a.js' }, {
+      content: 'setInterval(tick, 1000);\nawait fetch(url);'
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.issues).toHaveLength(0);
+    expect(result.shadow[0]).toMatchObject({ hookId: 'quality-validation', decision: 'block' });
+    expect(hooks.getMetrics().postToolUse.hooks[0].mode).toBe('shadow');
+  });
+
+  test('compares shadow decisions with enforced ones', async () => {
+    const hooks = new ValidationHooks({ shadowRules: ['sql_injection', 'hardcoded_secret'] });
+    hooks.registerPreToolUse('strict-secrets', async (toolName, params) => (
+      params.content?.includes('password') ? { allowed: false, reason: 'Password in code' } : { allowed: true }
+    ));
+
+    await hooks.executePreToolUse('Write', injection);
+    await hooks.executePreToolUse('Write', secret);
+    await hooks.executePreToolUse('Write', { file_path: 'a.js', content: 'const a = 1;' });
+
+    const report = hooks.getShadowReport();
+    const byRule = Object.fromEntries(report.entries.map(entry => [entry.rule, entry]));
+
+    expect(report.calls).toEqual({ preToolUse: 3, postToolUse: 0, userPromptSubmit: 0, stop: 0, subagentStop: 0 });
+    expect(byRule.sql_injection).toMatchObject({ fired: 1, agreed: 0, added: 1, decisions: { deny: 1 } });
+    expect(byRule.sql_injection.addedRate).toBeCloseTo(1 / 3);
+    expect(byRule.sql_injection.samples[0]).toMatchObject({ tool: 'Write', file: 'src/db.js' });
+    expect(byRule.hardcoded_secret).toMatchObject({ fired: 1, agreed: 1, added: 0 });
+    expect(report.entries[0].rule).toBe('sql_injection');
+  });
+
+  test('builds the same report from audit records', () => {
+    const shadow = [{ hookId: 'path-policy', rule: null, decision: 'deny', reason: 'Write outside the project root' }];
+    const report = ShadowReport.fromRecords([
+      { phase: 'preToolUse', tool: 'Write', decision: 'allow', shadow },
+      { phase: 'preToolUse', tool: 'Write', decision: 'deny', shadow },
+      { phase: 'preToolUse', tool: 'Read', decision: 'allow', shadow: [] },
+      { phase: 'postToolUse', tool: 'Edit', decision: 'block', shadow: [] }
+    ]).summary();
+
+    expect(report.calls).toEqual({ preToolUse: 3, postToolUse: 1, userPromptSubmit: 0, stop: 0, subagentStop: 0 });
+    expect(report.entries).toHaveLength(1);
+    expect(report.entries[0]).toMatchObject({ hookId: 'path-policy', fired: 2, agreed: 1, added: 1 });
+  });
+});
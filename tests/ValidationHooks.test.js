@@ -0,0 +1,464 @@
+/**
+ * ValidationHooks Tests
+ *
+ * Tool calls through the default pre/post hooks as Claude Code sends them.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ValidationHooks } from '../src/hooks/ValidationHooks.js';
+
+describe('ValidationHooks', () => {
+  describe('MultiEdit and NotebookEdit', () => {
+    const hooks = new ValidationHooks();
+
+    test('validates each MultiEdit edit and reports the offending index', async () => {
+      const result = await hooks.executePreToolUse('MultiEdit', {
+        file_path: 'src/db.js',
+        edits: [
+          { old_string: 'const a = 1;', new_string: 'const a = 2;' },
+          { old_string: 'run(q)', new_string: 'const query = "SELECT * FROM users WHERE id = " + req.params.id;' }
+        ]
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.interventions[0]).toMatchObject({
+        hookId: 'security-validation',
+        severity: 'CRITICAL',
+        editIndex: 1
+      });
+    });
+
+    test('runs the language pack of the written file', async () => {
+      const asking = new ValidationHooks({ askOn: 'HIGH' });
+
+      const shell = await hooks.executePreToolUse('Write', { file_path: 'src/c.py', content: 'os.system(f"ls {x}")\n' });
+      const yaml = await asking.executePreToolUse('Write', { file_path: 'src/c.py', content: 'data = yaml.load(stream)\n' });
+      const tls = await asking.executePreToolUse('Edit', {
+        file_path: 'src/c.py',
+        old_string: 'requests.get(url)',
+        new_string: 'requests.get(url, verify=False)'
+      });
+
+      expect(shell.allowed).toBe(false);
+      expect(shell.interventions[0]).toMatchObject({ hookId: 'security-validation', reason: 'Shell command built with string interpolation' });
+      expect(yaml).toMatchObject({ decision: 'ask', reason: 'yaml.load without SafeLoader can construct arbitrary objects' });
+      expect(tls.decision).toBe('ask');
+    });
+
+    test('allows MultiEdit calls whose edits are all clean', async () => {
+      const result = await hooks.executePreToolUse('MultiEdit', {
+        file_path: 'src/app.js',
+        edits: [{ old_string: 'a', new_string: 'const b = 1;' }, { old_string: 'c', new_string: '' }]
+      });
+
+      expect(result.allowed).toBe(true);
+    });
+
+    test('validates NotebookEdit cell source as Python by default', async () => {
+      const cell = (new_source) => hooks.executePreToolUse('NotebookEdit', { notebook_path: 'analysis.ipynb', cell_id: 'abc', new_source });
+
+      const result = await cell('os.system(f"rm -r {path}")');
+
+      expect(result.allowed).toBe(false);
+      expect(result.interventions[0]).toMatchObject({ hookId: 'security-validation', reason: 'Shell command built with string interpolation' });
+      expect(result.interventions[0]).not.toHaveProperty('editIndex');
+      expect((await cell('html = "<b>" + name\ndisplay(HTML(html))')).allowed).toBe(true);
+    });
+
+    test('takes the cell language from the notebook kernel', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jlma-notebook-'));
+      try {
+        const notebook = path.join(tmpDir, 'dom.ipynb');
+        fs.writeFileSync(notebook, JSON.stringify({ cells: [], metadata: { kernelspec: { name: 'deno', language: 'javascript' } } }));
+
+        const result = await hooks.executePreToolUse('NotebookEdit', { notebook_path: notebook, cell_id: 'a', new_source: 'element.innerHTML = userInput;' });
+
+        expect(result.interventions.find(i => i.hookId === 'security-validation').reason).toContain('XSS');
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    test('performance hook covers MultiEdit edits', async () => {
+      const result = await hooks.executePreToolUse('MultiEdit', {
+        file_path: 'src/lib.rs',
+        edits: [{ old_string: 'x', new_string: 'use std::collections::HashMap;' }]
+      });
+
+      expect(result.interventions).toEqual([
+        expect.objectContaining({ hookId: 'performance-validation', editIndex: 0 })
+      ]);
+    });
+
+    test('quality hook tags post-validation issues with the edit index', async () => {
+      const result = await hooks.executePostToolUse('MultiEdit', {
+        file_path: 'src/poll.js',
+        edits: [
+          { old_string: 'a', new_string: 'const ok = true;' },
+          { old_string: 'b', new_string: 'setInterval(poll, 100);' }
+        ]
+      }, null);
+
+      expect(result.issues.length).toBeGreaterThan(0);
+      expect(result.issues.every(issue => issue.editIndex === 1)).toBe(true);
+    });
+  });
+
+  describe('validateFullFile', () => {
+    let tmpDir;
+    // Temp files live outside the project; root the path policy at the temp dir
+    const pathPolicy = { root: os.tmpdir() };
+    const hooks = new ValidationHooks({ validateFullFile: true, pathPolicy });
+
+    const write = (name, content) => fs.writeFileSync(path.join(tmpDir, name), content);
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jlma-hooks-'));
+      write('db.js', [
+        'function find(id) {',
+        '  const sql = "SELECT * FROM users WHERE id = "',
+        '    + "1";',
+        '  return db.query(sql);',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('catches an injection that spans the edit boundary', async () => {
+      const edit = { file_path: 'db.js', old_string: '+ "1"', new_string: '+ id' };
+
+      const fragment = await new ValidationHooks({ pathPolicy }).executePreToolUse('Edit', edit, { cwd: tmpDir });
+      const full = await hooks.executePreToolUse('Edit', edit, { cwd: tmpDir });
+
+      expect(fragment.allowed).toBe(true);
+      expect(full.allowed).toBe(false);
+      expect(full.interventions[0]).toMatchObject({
+        hookId: 'security-validation',
+        location: expect.objectContaining({ line: 2 })
+      });
+    });
+
+    test('does not report findings the file already had', async () => {
+      write('query.js', 'const query = "SELECT * FROM t WHERE a = " + a;\nconst limit = 10;\n');
+
+      const result = await hooks.executePreToolUse('MultiEdit', {
+        file_path: path.join(tmpDir, 'query.js'),
+        edits: [
+          { old_string: 'limit = 10', new_string: 'limit = 20' },
+          { old_string: 'limit = 20', new_string: 'limit = 50' }
+        ]
+      });
+
+      expect(result.allowed).toBe(true);
+    });
+
+    test('reports a leak introduced by deleting the cleanup', async () => {
+      const original = 'const timer = setInterval(poll, 100);\n\nfunction stop() {\n  clearInterval(timer);\n}\n';
+      const edit = { file_path: 'poll.js', old_string: '  clearInterval(timer);\n', new_string: '' };
+
+      const result = await hooks.executePostToolUse('Edit', edit, { originalFile: original }, { cwd: tmpDir });
+
+      expect(result.issues).toEqual([
+        expect.objectContaining({ type: 'potential_memory_leak', location: expect.objectContaining({ line: 1 }) })
+      ]);
+    });
+
+    test('falls back to the fragment when the edit does not apply', async () => {
+      const result = await hooks.executePreToolUse('Edit', {
+        file_path: 'db.js',
+        old_string: 'not in the file',
+        new_string: 'el.innerHTML = userInput;'
+      }, { cwd: tmpDir });
+
+      expect(result.allowed).toBe(false);
+      expect(result.interventions[0].location.line).toBe(1);
+    });
+  });
+
+  describe('parameter rewriting', () => {
+    const redactSecrets = async (toolName, params) => {
+      const content = params.content?.replace(/(['"])sk_live_\w+\1/g, 'process.env.STRIPE_KEY');
+      return content === params.content
+        ? { allowed: true }
+        : { allowed: true, updatedParams: { content }, reason: 'Hardcoded Stripe key replaced' };
+    };
+
+    test('chains updatedParams through the hooks and records each mutation', async () => {
+      const hooks = new ValidationHooks({ enabledHooks: [] });
+      const seen = [];
+      hooks.registerPreToolUse('redact-secrets', redactSecrets, { priority: 'CRITICAL' });
+      hooks.registerPreToolUse('observe', async (toolName, params) => {
+        seen.push(params.content);
+        return { allowed: true, updatedParams: { file_path: 'src/pay.js' } };
+      }, { priority: 'LOW' });
+
+      const result = await hooks.executePreToolUse('Write', {
+        file_path: 'pay.js',
+        content: "const stripe = new Stripe('sk_live_abc123');"
+      });
+
+      expect(result.allowed).toBe(true);
+      // Seen again when the rewritten input is validated from the top
+      expect(seen).toEqual(Array(2).fill('const stripe = new Stripe(process.env.STRIPE_KEY);'));
+      expect(result.updatedParams).toEqual({
+        file_path: 'src/pay.js',
+        content: 'const stripe = new Stripe(process.env.STRIPE_KEY);'
+      });
+      expect(result.mutations).toEqual([
+        { hookId: 'redact-secrets', reason: 'Hardcoded Stripe key replaced', fields: ['content'] },
+        { hookId: 'observe', reason: null, fields: ['file_path'] }
+      ]);
+      expect(hooks.getMetrics().preToolUse.mutated).toBe(1);
+    });
+
+    test('leaves updatedParams null when nothing changes', async () => {
+      const hooks = new ValidationHooks({ enabledHooks: [] });
+      hooks.registerPreToolUse('redact-secrets', redactSecrets);
+      hooks.registerPreToolUse('noop', async () => ({ allowed: true, updatedParams: { content: 'x = 1' } }));
+
+      const result = await hooks.executePreToolUse('Write', { file_path: 'a.js', content: 'x = 1' });
+
+      expect(result.updatedParams).toBeNull();
+      expect(result.mutations).toEqual([]);
+    });
+
+    test('rewrites a Bash command before the lower-priority hooks validate it', async () => {
+      const hooks = new ValidationHooks();
+      const seen = [];
+      hooks.registerPreToolUse('interactive-rm', async (toolName, params) => (
+        toolName === 'Bash' && /^rm -rf /.test(params.command)
+          ? { allowed: true, updatedParams: { command: params.command.replace(/^rm -rf /, 'rm -rI ') } }
+          : { allowed: true }
+      ), { priority: 'HIGH' });
+      hooks.registerPreToolUse('probe', async (toolName, params) => {
+        seen.push(params.command);
+        return { allowed: true };
+      }, { priority: 'LOW' });
+
+      const result = await hooks.executePreToolUse('Bash', { command: 'rm -rf dist' });
+
+      expect(result.allowed).toBe(true);
+      expect(result.updatedParams).toEqual({ command: 'rm -rI dist' });
+      expect(seen).toEqual(['rm -rI dist', 'rm -rI dist']);
+    });
+
+    test('validates the rewritten input with the default hooks', async () => {
+      const hooks = new ValidationHooks();
+      hooks.registerPreToolUse('env-password', async (toolName, params) => {
+        const content = params.content?.replace(/"super_secret_\w+"/, 'process.env.DB_PASSWORD');
+        return content === params.content ? { allowed: true } : { allowed: true, updatedParams: { content } };
+      }, { priority: 'LOW' });
+
+      const result = await hooks.executePreToolUse('Write', { file_path: 'db.js', content: 'const password = "super_secret_123";' });
+
+      expect(result.decision).toBe('allow');
+      expect(result.updatedParams.content).toBe('const password = process.env.DB_PASSWORD;');
+      expect(result.interventions).toEqual([]);
+    });
+
+    test('denies input a late hook rewrites into a violation', async () => {
+      const hooks = new ValidationHooks();
+      hooks.registerPreToolUse('inject', async () => ({
+        allowed: true,
+        updatedParams: { content: 'el.innerHTML = x; const password = "super_secret_123";' }
+      }), { priority: 'LOW' });
+
+      const result = await hooks.executePreToolUse('Write', { file_path: 'ui.js', content: 'const a = 1;' });
+
+      expect(result.decision).toBe('deny');
+      expect(result.interventions[0]).toMatchObject({ hookId: 'security-validation', severity: 'CRITICAL' });
+      expect(hooks.getMetrics().preToolUse.blocked).toBe(1);
+    });
+
+    test('runs hooks from CRITICAL to LOW regardless of registration order', async () => {
+      const hooks = new ValidationHooks({ enabledHooks: [] });
+      const order = [];
+      for (const priority of ['LOW', 'MEDIUM', 'CRITICAL', 'HIGH']) {
+        hooks.registerPreToolUse(priority, async () => {
+          order.push(priority);
+          return { allowed: true };
+        }, { priority });
+      }
+
+      await hooks.executePreToolUse('Bash', { command: 'ls' });
+
+      expect(order).toEqual(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW']);
+    });
+  });
+
+  describe('allow / ask / deny decisions', () => {
+    const decideWith = (decision, reason) => async () => ({ decision, reason, severity: 'MEDIUM' });
+
+    test('aggregates hook decisions as deny > ask > allow', async () => {
+      const hooks = new ValidationHooks({ enabledHooks: [] });
+      hooks.registerPreToolUse('prod-config', decideWith('ask', 'Touches production config'));
+      hooks.registerPreToolUse('fine', decideWith('allow'));
+
+      const asked = await hooks.executePreToolUse('Write', { file_path: 'config/prod.json', content: '{}' });
+      expect(asked).toMatchObject({ allowed: false, decision: 'ask', reason: 'Touches production config' });
+      expect(asked.interventions).toEqual([expect.objectContaining({ hookId: 'prod-config', decision: 'ask' })]);
+
+      hooks.registerPreToolUse('legacy-block', async () => ({ allowed: false, reason: 'Frozen file' }), { priority: 'LOW' });
+      const denied = await hooks.executePreToolUse('Write', { file_path: 'config/prod.json', content: '{}' });
+      expect(denied).toMatchObject({ allowed: false, decision: 'deny', reason: 'Frozen file' });
+      expect(denied.interventions.map(i => i.decision)).toEqual(['ask', 'deny']);
+
+      expect(hooks.getMetrics().preToolUse).toMatchObject({ asked: 2, blocked: 1 });
+    });
+
+    test('askOn turns non-critical security findings into asks', async () => {
+      const nestedLoop = { file_path: 'a.js', content: 'for (const a of b) { for (const c of d) { x(); } }' };
+      const xss = { file_path: 'a.js', content: 'el.innerHTML = userInput;' };
+      const asking = new ValidationHooks({ askOn: 'MEDIUM' });
+
+      expect((await new ValidationHooks().executePreToolUse('Write', nestedLoop)).decision).toBe('allow');
+      expect(await asking.executePreToolUse('Write', nestedLoop)).toMatchObject({
+        decision: 'ask',
+        interventions: [expect.objectContaining({ hookId: 'security-validation', severity: 'MEDIUM' })]
+      });
+      expect((await asking.executePreToolUse('Write', xss)).decision).toBe('deny');
+      expect((await new ValidationHooks({ askOn: 'HIGH' }).executePreToolUse('Write', nestedLoop)).decision).toBe('allow');
+    });
+  });
+
+  describe('hook failures', () => {
+    const failing = async () => { throw new Error('rules file missing'); };
+    const hanging = () => new Promise(() => {});
+    const blocking = async () => ({ allowed: false, reason: 'Blocked by later hook' });
+
+    test('isolates a throwing hook so later hooks still run', async () => {
+      const hooks = new ValidationHooks({ enabledHooks: [] });
+      hooks.registerPreToolUse('broken', failing, { priority: 'CRITICAL' });
+      hooks.registerPreToolUse('later', blocking, { priority: 'LOW' });
+
+      const result = await hooks.executePreToolUse('Write', { content: 'x' });
+
+      expect(result.decision).toBe('deny');
+      expect(result.reason).toBe('Blocked by later hook');
+      expect(result.hookErrors).toEqual([{ hookId: 'broken', error: 'rules file missing', onError: 'allow' }]);
+    });
+
+    test('fails closed with onError deny and ignores skipped hooks', async () => {
+      const hooks = new ValidationHooks({ enabledHooks: [] });
+      hooks.registerPreToolUse('strict', failing, { onError: 'deny' });
+      hooks.registerPreToolUse('optional', failing, { onError: 'skip' });
+
+      const result = await hooks.executePreToolUse('Write', { content: 'x' });
+
+      expect(result.interventions).toEqual([expect.objectContaining({
+        hookId: 'strict',
+        decision: 'deny',
+        reason: "Hook 'strict' failed: rules file missing"
+      })]);
+      expect(result.hookErrors.map(e => e.hookId)).toEqual(['strict']);
+    });
+
+    test('times out hung hooks and reports errors and timeouts per hook', async () => {
+      const hooks = new ValidationHooks({ enabledHooks: [], hookTimeout: 20 });
+      const errors = [];
+      hooks.on('hookError', event => errors.push(event));
+      hooks.registerPreToolUse('hung', hanging, { onError: 'deny' });
+      hooks.registerPostToolUse('hung-post', hanging, { timeout: 10, onError: 'deny' });
+      hooks.registerPostToolUse('broken-post', failing);
+
+      const pre = await hooks.executePreToolUse('Write', { content: 'x' });
+      const post = await hooks.executePostToolUse('Write', { content: 'x' }, null);
+
+      expect(pre.reason).toBe("Hook 'hung' failed: timed out after 20ms");
+      expect(post.valid).toBe(false);
+      expect(post.issues).toEqual([expect.objectContaining({ type: 'hook_error', hookId: 'hung-post' })]);
+      expect(errors.map(e => e.id)).toEqual(['hung', 'hung-post', 'broken-post']);
+
+      const metrics = hooks.getMetrics();
+      expect(metrics.preToolUse.hooks[0]).toMatchObject({ id: 'hung', executions: 1, errors: 0, timeouts: 1 });
+      expect(metrics.postToolUse.hooks.map(h => [h.id, h.errors, h.timeouts]))
+        .toEqual([['hung-post', 0, 1], ['broken-post', 1, 0]]);
+    });
+
+    test('rejects unknown onError policies', () => {
+      const hooks = new ValidationHooks({ enabledHooks: [] });
+      expect(() => hooks.registerPreToolUse('x', failing, { onError: 'retry' }))
+        .toThrow("Invalid onError policy 'retry' for hook 'x'");
+    });
+  });
+
+  describe('suppression directives', () => {
+    let tmpDir;
+    const hooks = new ValidationHooks({ pathPolicy: { root: os.tmpdir() } });
+    const injection = 'const query = "SELECT * FROM users WHERE id = " + req.params.id;';
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jlma-suppress-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('ignores directives the agent adds to silence the gate', async () => {
+      const content = [
+        '/* jlma-disable */',
+        injection,
+        'exec(userInput);',
+        'el.innerHTML = userInput;',
+        'const password = "super_secret_123";'
+      ].join('\n');
+
+      const write = await hooks.executePreToolUse('Write', { file_path: path.join(tmpDir, 'app.js'), content });
+      const edit = await hooks.executePreToolUse('Edit', {
+        file_path: path.join(tmpDir, 'app.js'),
+        old_string: 'x',
+        new_string: `// jlma-ignore-next-line sql_injection -- trust me\n${injection}`
+      });
+
+      expect(write.allowed).toBe(false);
+      expect(write.interventions[0]).toMatchObject({ hookId: 'security-validation', severity: 'CRITICAL' });
+      expect(write.suppressed).toEqual([]);
+      expect(edit.allowed).toBe(false);
+    });
+
+    test('ignores existing directives copied onto new code', async () => {
+      const file = path.join(tmpDir, 'fixtures.js');
+      const directive = '// jlma-ignore-next-line -- fixture';
+      const orders = 'const orders = "SELECT * FROM orders WHERE id = " + req.params.id;';
+      fs.writeFileSync(file, `${directive}\n${injection}\n`);
+
+      const copied = await hooks.executePreToolUse('Edit', {
+        file_path: file,
+        old_string: injection,
+        new_string: `${injection}\n${directive}\n${orders}`
+      });
+      const duplicated = await hooks.executePreToolUse('Write', {
+        file_path: file,
+        content: `${directive}\n${injection}\n${directive}\n${injection}\n`
+      });
+
+      expect(copied.allowed).toBe(false);
+      expect(copied.interventions[0].reason).toContain('SQL injection');
+      expect(duplicated.allowed).toBe(false);
+      expect(duplicated.suppressed).toHaveLength(1);
+    });
+
+    test('honors directives already in the file and lists what they waive', async () => {
+      const file = path.join(tmpDir, 'fixtures.js');
+      const directive = '// jlma-ignore-next-line sql_injection -- fixture for the query builder tests';
+      fs.writeFileSync(file, `${directive}\n${injection}\n`);
+
+      const result = await hooks.executePreToolUse('Write', { file_path: file, content: `${directive}\n${injection}\nexport {};\n` });
+
+      expect(result.allowed).toBe(true);
+      expect(result.suppressed).toEqual([expect.objectContaining({
+        hookId: 'security-validation',
+        rule: 'sql_injection',
+        directive: 'jlma-ignore-next-line',
+        reason: 'fixture for the query builder tests'
+      })]);
+    });
+  });
+});
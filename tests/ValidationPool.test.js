@@ -0,0 +1,121 @@
+/**
+ * ValidationPool Tests
+ *
+ * Runs real worker threads against files in a temporary directory and
+ * compares their results with the single-threaded path.
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ValidationPool, validateFile } from '../src/core/ValidationPool.js';
+import { PatternValidator } from '../src/validators/PatternValidator.js';
+import { PerformanceMonitor } from '../src/core/PerformanceMonitor.js';
+
+// Timings differ between runs; everything else must match exactly
+const withoutTimings = (value) =>
+  JSON.parse(JSON.stringify(value, (key, v) => (key === 'responseTime' ? undefined : v)));
+
+describe('ValidationPool', () => {
+  let projectDir;
+  let files;
+  let pool;
+
+  beforeEach(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'jlma-pool-'));
+    const sources = {
+      'secrets.js': 'const password = "super_secret_123";\nel.innerHTML = input;',
+      'timer.ts': 'setInterval(tick, 1000); // TODO: clear on shutdown',
+      'clean.py': 'def add(a, b):\n    return a + b\n'
+    };
+    files = Object.entries(sources).map(([name, code]) => {
+      const path = join(projectDir, name);
+      writeFileSync(path, code);
+      return path;
+    });
+  });
+
+  afterEach(async () => {
+    await pool?.close();
+    pool = null;
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('matches the single-threaded results, including custom rules', async () => {
+    const rule = { id: 'no_todo', category: 'quality', severity: 'LOW', regex: /TODO/ };
+    pool = new ValidationPool({ size: 2, rules: [rule] });
+
+    const results = await pool.validateAll(files);
+
+    const validator = new PatternValidator();
+    validator.registerRule(rule);
+    for (const [i, file] of files.entries()) {
+      const expected = await validateFile(validator, file);
+      expect(withoutTimings(results[i])).toEqual(withoutTimings(expected));
+    }
+    expect(results[1].post.issues.map(issue => issue.type)).toContain('no_todo');
+  });
+
+  test('reports each file to the PerformanceMonitor', async () => {
+    const monitor = new PerformanceMonitor();
+    pool = new ValidationPool({ size: 1, monitor });
+
+    await pool.validateAll(files);
+
+    expect(monitor.getTimingBreakdown().pool_validation.successful).toBe(3);
+    expect(pool.getMetrics()).toMatchObject({ completed: 3, failed: 0, queued: 0 });
+    expect(pool.getMetrics().throughput).toMatch(/files\/sec$/);
+    monitor.stop();
+  });
+
+  test('rejects new files when the queue is full', async () => {
+    pool = new ValidationPool({ size: 1, maxQueue: 2 });
+
+    // The worker is still starting, so both files wait in the queue
+    const first = pool.validate(files[0]);
+    const second = pool.validate(files[1]);
+
+    await expect(pool.validate(files[2])).rejects.toThrow('Validation queue is full (2 files)');
+    await expect(Promise.all([first, second])).resolves.toHaveLength(2);
+  });
+
+  test('validateAll leaves queue room for other callers', async () => {
+    pool = new ValidationPool({ size: 1, maxQueue: 2 });
+
+    // The worker is still starting: validateAll queues one file, validate() the next
+    const all = pool.validateAll(files);
+    const single = pool.validate(files[0]);
+
+    const results = await all;
+    expect(results.map(result => result.error)).toEqual([undefined, undefined, undefined]);
+    await expect(single).resolves.toMatchObject({ file: files[0] });
+  });
+
+  test('cancels queued files through an AbortSignal', async () => {
+    pool = new ValidationPool({ size: 1 });
+    const controller = new AbortController();
+
+    const running = pool.validate(files[0]);
+    const queued = pool.validate(files[1], { signal: controller.signal });
+    controller.abort();
+
+    await expect(queued).rejects.toThrow('was cancelled');
+    await expect(running).resolves.toHaveProperty('file', files[0]);
+    expect(pool.getMetrics().cancelled).toBe(1);
+  });
+
+  test('times out slow files and replaces the worker', async () => {
+    pool = new ValidationPool({ size: 1, timeout: 1 });
+    const code = 'const x = 1;\n'.repeat(50000);
+
+    await expect(pool.validate(files[0], { code })).rejects.toThrow('timed out after 1ms');
+    expect(pool.getMetrics()).toMatchObject({ timedOut: 1, workersRestarted: 1, workers: 1 });
+  });
+
+  test('refuses visitor rules, which cannot cross threads', () => {
+    expect(() => new ValidationPool({
+      size: 1,
+      rules: [{ id: 'ast_rule', category: 'security', visitor: { CallExpression: () => true } }]
+    })).toThrow("Rule 'ast_rule' uses an AST visitor");
+  });
+});
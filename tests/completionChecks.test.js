@@ -0,0 +1,110 @@
+/**
+ * Completion Check Tests
+ *
+ * Stop / SubagentStop hooks through ValidationHooks: blocking, loop
+ * protection across hook processes, and the built-in completion checks.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ValidationHooks } from '../src/hooks/ValidationHooks.js';
+import { truthScoreCheck, sparcCompletionCheck } from '../src/hooks/completionChecks.js';
+import { TruthScoring } from '../src/validators/TruthScoring.js';
+import { SPARCIntegration } from '../src/core/SPARCIntegration.js';
+
+describe('completion checks', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jlma-stop-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const notDone = async () => ({ decision: 'block', reason: 'Tests have not been run', severity: 'MEDIUM' });
+
+  test('blocks the stop until maxBlocks consecutive blocks, then lets it through', async () => {
+    const hooks = new ValidationHooks({ completionPolicy: { maxBlocks: 2 } });
+    hooks.registerStop('tests-run', notDone);
+
+    const first = await hooks.executeStop({ sessionId: 's1', stopHookActive: false });
+    const second = await hooks.executeStop({ sessionId: 's1' });
+    const third = await hooks.executeStop({ sessionId: 's1' });
+
+    expect(first).toMatchObject({ allowed: false, decision: 'block', reason: 'Tests have not been run' });
+    expect(second.allowed).toBe(false);
+    expect(third).toMatchObject({ allowed: true, loopProtected: true });
+    expect(third.reason).toBe('Stopping after 2 blocked attempt(s) with unmet checks: Tests have not been run');
+    expect(third.interventions[0].hookId).toBe('tests-run');
+
+    // A stop that was not preceded by a block starts counting again
+    expect((await hooks.executeStop({ sessionId: 's1', stopHookActive: false })).allowed).toBe(false);
+    expect(hooks.getMetrics().stop).toMatchObject({ executions: 4, blocked: 4, loopProtected: 1 });
+  });
+
+  test('lets a stop_hook_active stop through when blocks cannot be counted', async () => {
+    const hooks = new ValidationHooks();
+    hooks.registerSubagentStop('tests-run', notDone);
+
+    const result = await hooks.executeSubagentStop({ sessionId: 's1', stopHookActive: true });
+
+    expect(result).toMatchObject({ allowed: true, loopProtected: true });
+    expect((await hooks.executeStop({ sessionId: 's1', stopHookActive: true })).loopProtected).toBe(false);
+  });
+
+  test('counts blocks and changed files from the audit log across hook processes', async () => {
+    const auditLog = { enabled: true, path: path.join(tmpDir, 'audit.jsonl') };
+    const seen = [];
+    const hookProcess = () => {
+      const hooks = new ValidationHooks({ auditLog, completionPolicy: { maxBlocks: 2 } });
+      hooks.registerStop('tests-run', async (context) => {
+        seen.push(context);
+        return notDone();
+      });
+      return hooks;
+    };
+    const context = { sessionId: 's1', cwd: tmpDir };
+
+    await hookProcess().executePostToolUse('Write', { file_path: 'src/a.js', content: 'const a = 1;' }, {}, context);
+    await hookProcess().executePostToolUse('Read', { file_path: 'src/b.js' }, {}, context);
+    await hookProcess().executeStop({ ...context, stopHookActive: false });
+    await hookProcess().executeStop({ ...context, stopHookActive: true });
+    const last = await hookProcess().executeStop({ ...context, stopHookActive: true });
+
+    expect(seen.map(stop => stop.previousBlocks)).toEqual([0, 1, 2]);
+    expect(seen[0].changedFiles).toEqual(['src/a.js']);
+    expect(last.loopProtected).toBe(true);
+  });
+
+  test('truth score check names the changed files below the threshold', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'db.js'), 'const query = "SELECT * FROM users WHERE id = " + req.params.id;\n');
+    fs.writeFileSync(path.join(tmpDir, 'math.js'), 'export const add = (a, b) => a + b;\n');
+    const check = truthScoreCheck(new TruthScoring({ autoRollback: false }));
+
+    const failed = await check({ cwd: tmpDir, changedFiles: ['db.js', 'math.js', 'README.md', 'deleted.js'] });
+    const passed = await check({ cwd: tmpDir, changedFiles: ['math.js'] });
+
+    expect(failed.decision).toBe('block');
+    expect(failed.reason).toMatch(/^Truth score below threshold:\n- db\.js scores [\d.]+ \(< 0\.95\)/);
+    expect(failed.reason).not.toContain('math.js');
+    expect(passed).toEqual({ decision: 'allow' });
+  });
+
+  test('SPARC check blocks until the workflow reaches completion', async () => {
+    const sparc = new SPARCIntegration();
+    const hooks = new ValidationHooks({ completionPolicy: { sparc: true }, sparc });
+
+    expect((await hooks.executeStop()).allowed).toBe(true);
+
+    sparc.startWorkflow('Add login');
+    const blocked = await hooks.executeSubagentStop();
+    expect(blocked.interventions[0]).toMatchObject({ hookId: 'sparc-completion', severity: 'MEDIUM' });
+    expect(blocked.reason).toContain("SPARC workflow 'Add login' is still in the Specification phase (0/5 phases)");
+
+    sparc.currentWorkflow.currentPhase = 'completion';
+    expect((await hooks.executeStop()).allowed).toBe(true);
+  });
+});